@@ -1,24 +1,200 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import crypto from 'node:crypto';
 
-export function createAuthStore(filePath = path.resolve(process.cwd(), '.auth.json')) {
-  function load() {
+// Token fields are encrypted with AES-256-GCM before they reach disk. The key comes
+// from AUTH_ENCRYPTION_KEY or a key file; the key file holds one key per line, the
+// current key first and older keys after it, so entries written with an older key
+// can still be read and are re-encrypted with the current key on load.
+const SECRET_FIELDS = ['token', 'refreshToken'];
+const PREFIX = 'enc:v1:';
+
+export function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+function parseKey(text) {
+  const s = String(text || '').trim();
+  const buf = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, 'hex') : Buffer.from(s, 'base64');
+  if (buf.length !== 32) throw new Error('Auth encryption keys must be 32 bytes, base64 or hex encoded');
+  return buf;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// Writes to a temp file in the same directory, then renames over the target.
+export function writeFileAtomic(filePath, text, mode = 0o600) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w', mode);
+  try {
+    fs.writeFileSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.chmodSync(tmp, mode);
+  fs.renameSync(tmp, filePath);
+}
+
+export function readKeyFile(keyFile) {
+  if (!fs.existsSync(keyFile)) return [];
+  return fs.readFileSync(keyFile, 'utf8').split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+// Keys from the environment win; otherwise the key file is used and created on first run.
+export function resolveAuthKeys({ envKey = null, previousKeys = [], keyFile, log = () => {} }) {
+  if (envKey) return [envKey, ...previousKeys];
+  let lines = readKeyFile(keyFile);
+  if (!lines.length) {
+    lines = [generateKey()];
+    writeFileAtomic(keyFile, `${lines[0]}\n`);
+    log(`[auth] generated token encryption key at ${keyFile}`);
+  }
+  return [...lines, ...previousKeys];
+}
+
+// Keys as configured through AUTH_ENCRYPTION_KEY, AUTH_PREVIOUS_KEYS and AUTH_KEY_FILE.
+export function authKeysFromEnv(env = process.env, log = () => {}) {
+  return resolveAuthKeys({
+    envKey: env.AUTH_ENCRYPTION_KEY || null,
+    previousKeys: String(env.AUTH_PREVIOUS_KEYS || '').split(',').map(x => x.trim()).filter(Boolean),
+    keyFile: env.AUTH_KEY_FILE || './.auth.key',
+    log
+  });
+}
+
+export function createAuthStore(filePath = path.resolve(process.cwd(), '.auth.json'), { keys = [], log = () => {} } = {}) {
+  const ring = keys.map(parseKey);
+  if (!ring.length) throw new Error('createAuthStore needs at least one encryption key');
+  const byId = new Map(ring.map(k => [keyId(k), k]));
+  const currentId = keyId(ring[0]);
+  // sid -> { field: ciphertext } for fields the last load could not decrypt. They are
+  // written back unchanged until the session gets a new value, so restoring the missing
+  // key still recovers the token.
+  const unreadable = new Map();
+
+  function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ring[0], iv);
+    const ct = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${currentId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ct.toString('base64')}`;
+  }
+
+  function decrypt(value) {
+    const [kid, iv, tag, ct] = value.slice(PREFIX.length).split(':');
+    const key = byId.get(kid);
+    if (!key) throw new Error(`no key for ${kid}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Returns the decrypted entry and whether it should be rewritten (plaintext or an old key).
+  function openEntry(sid, entry) {
+    const out = { ...entry };
+    let stale = false;
+    for (const f of SECRET_FIELDS) {
+      const v = entry[f];
+      if (v == null) continue;
+      if (typeof v !== 'string' || !v.startsWith(PREFIX)) {
+        stale = true;
+        continue;
+      }
+      try {
+        out[f] = decrypt(v);
+        if (!v.startsWith(`${PREFIX}${currentId}:`)) stale = true;
+      } catch (e) {
+        // The session has to sign in again; the ciphertext is kept on disk (see `unreadable`).
+        log(`[auth] cannot decrypt ${f} for session ${sid.slice(0, 8)}: ${e.message}`);
+        out[f] = null;
+        unreadable.set(sid, { ...unreadable.get(sid), [f]: v });
+      }
+    }
+    return { entry: out, stale };
+  }
+
+  function sealEntry(sid, entry) {
+    const out = { ...entry };
+    const kept = unreadable.get(sid);
+    for (const f of SECRET_FIELDS) {
+      if (out[f] != null) {
+        out[f] = encrypt(out[f]);
+        if (kept) delete kept[f];
+      } else if (kept?.[f]) {
+        out[f] = kept[f];
+      }
+    }
+    return out;
+  }
+
+  function save(data) {
+    const sealed = {};
+    for (const [sid, entry] of Object.entries(data)) sealed[sid] = sealEntry(sid, entry);
+    for (const sid of unreadable.keys()) if (!(sid in data)) unreadable.delete(sid);
+    writeFileAtomic(filePath, JSON.stringify(sealed, null, 2));
+  }
+
+  // With `rewrite: false` the file is left as it is even if entries are stale.
+  function load({ rewrite: allowRewrite = true } = {}) {
+    let data;
     try {
       if (!fs.existsSync(filePath)) return null;
-      const raw = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(raw);
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
     } catch {
       return null;
     }
-  }
-
-  function save(data) {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    const out = {};
+    let rewrite = false;
+    unreadable.clear();
+    for (const [sid, entry] of Object.entries(data)) {
+      const opened = openEntry(sid, entry);
+      out[sid] = opened.entry;
+      rewrite ||= opened.stale;
+    }
+    // Plaintext files and entries under an older key are re-encrypted with the current key.
+    if (rewrite && allowRewrite) {
+      save(out);
+      log(`[auth] re-encrypted ${filePath} with key ${currentId}`);
+    } else if ((fs.statSync(filePath).mode & 0o077) !== 0) {
+      fs.chmodSync(filePath, 0o600);
+    }
+    return out;
   }
 
   function clear() {
     try { fs.unlinkSync(filePath); } catch {}
   }
 
-  return { load, save, clear, filePath };
+  // Entries written by another process (`npm run device-login`) go to `<file>.pending`, so a
+  // tracker that owns the file and rewrites it from memory cannot erase them. The owner
+  // claims the pending file by renaming it, then saves the entries itself.
+  const pendingPath = `${filePath}.pending`;
+
+  function addPending(entries) {
+    const inbox = createAuthStore(pendingPath, { keys, log });
+    inbox.save({ ...inbox.load({ rewrite: false }), ...entries });
+  }
+
+  function takePending() {
+    const claimed = `${pendingPath}.${process.pid}`;
+    try {
+      fs.renameSync(pendingPath, claimed);
+    } catch {
+      return null;
+    }
+    try {
+      return createAuthStore(claimed, { keys, log }).load({ rewrite: false });
+    } finally {
+      fs.rmSync(claimed, { force: true });
+    }
+  }
+
+  // `sid:field` for every token the last load could not decrypt.
+  function undecryptable() {
+    return [...unreadable].flatMap(([sid, fields]) => Object.keys(fields).map(f => `${sid}:${f}`));
+  }
+
+  return { load, save, clear, addPending, takePending, undecryptable, filePath, pendingPath, keyId: currentId };
 }
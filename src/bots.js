@@ -0,0 +1,93 @@
+// Flags likely viewer bots and service accounts from stored sessions. Each signal adds
+// to a score; a viewer at or above `threshold` is flagged. The allow list always wins,
+// then the deny list and the built-in service bots, then the score.
+
+// Well-known chat/service bots that sit in many channels.
+export const KNOWN_BOTS = [
+  'nightbot',
+  'streamelements',
+  'streamlabs',
+  'moobot',
+  'fossabot',
+  'wizebot',
+  'soundalerts',
+  'sery_bot',
+  'commanderroot',
+  'blerp'
+];
+
+const NEVER_LEAVES_SEC = 12 * 3600;
+const OFFLINE_SHARE = 0.5;
+const OFFLINE_MIN_SEC = 3600;
+
+export function scoreBot(signals, { minChannels = 3 } = {}) {
+  let score = 0;
+  const reasons = [];
+  if (signals.channel_count >= minChannels) {
+    score += 0.35;
+    reasons.push(`seen in ${signals.channel_count} channels`);
+  }
+  if (signals.longest_sec >= NEVER_LEAVES_SEC) {
+    score += 0.3;
+    reasons.push(`stayed ${Math.round(signals.longest_sec / 3600)}h without leaving`);
+  }
+  if (signals.tracked_sec > 0 && signals.offline_sec >= OFFLINE_MIN_SEC && signals.offline_sec / signals.tracked_sec >= OFFLINE_SHARE) {
+    score += 0.25;
+    reasons.push(`${Math.round((signals.offline_sec / signals.tracked_sec) * 100)}% of time while off-air`);
+  }
+  if (signals.follower_count === 0) {
+    score += 0.1;
+    reasons.push('zero followers');
+  }
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+export function createBotClassifier({
+  store,
+  allow = [],
+  deny = [],
+  minChannels = 3,
+  threshold = 0.5,
+  lookbackMs = 30 * 86_400_000
+}) {
+  const allowSet = new Set(allow.map(u => u.toLowerCase()));
+  const denySet = new Set([...KNOWN_BOTS, ...deny.map(u => u.toLowerCase())]);
+  let bots = store.getBotLogins();
+  let lastRunAt = null;
+
+  function run(now = Date.now()) {
+    const rows = new Map();
+    for (const sig of store.getBotSignals({ since: now - lookbackMs, now })) {
+      const { score, reasons } = scoreBot(sig, { minChannels });
+      if (score < threshold) continue;
+      rows.set(sig.username, {
+        username: sig.username,
+        user_id: sig.user_id,
+        is_bot: 1,
+        score,
+        reasons: JSON.stringify(reasons),
+        source: 'auto',
+        updated_at: now
+      });
+    }
+    for (const username of denySet) {
+      rows.set(username, { username, user_id: rows.get(username)?.user_id || null, is_bot: 1, score: null, reasons: '["deny list"]', source: 'deny', updated_at: now });
+    }
+    for (const username of allowSet) {
+      rows.set(username, { username, user_id: rows.get(username)?.user_id || null, is_bot: 0, score: null, reasons: '["allow list"]', source: 'allow', updated_at: now });
+    }
+    store.replaceBotFlags([...rows.values()]);
+    bots = store.getBotLogins();
+    lastRunAt = now;
+  }
+
+  return {
+    run,
+    isBot(username) {
+      return bots.has(username);
+    },
+    stats() {
+      return { flagged: bots.size, lastRunAt, minChannels, threshold };
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { refreshAccessToken, validateToken } from './twitch.js';
+
+// Headless accounts poll without a browser. They come from a JSON file (TRACKER_CONFIG):
+//   { "accounts": [{ "name": "main", "accessToken": "...", "refreshToken": "...", "channels": ["login", ...] }] }
+// and/or from TWITCH_USER_ACCESS_TOKEN / TWITCH_REFRESH_TOKEN with TWITCH_CHANNELS (logins) or
+// TWITCH_BROADCASTER_ID, as the account "env". Each account runs as the auth session `daemon:<name>`.
+export const DAEMON_SID_PREFIX = 'daemon:';
+const REQUIRED_SCOPE = 'moderator:read:chatters';
+
+export function daemonSid(name) {
+  return `${DAEMON_SID_PREFIX}${name}`;
+}
+
+function parseAccount(raw, where) {
+  if (!raw || typeof raw !== 'object') throw new Error(`${where}: expected an object`);
+  const name = String(raw.name || '').trim();
+  if (!/^[\w.-]{1,40}$/.test(name)) throw new Error(`${where}: "name" must be 1-40 letters, digits, '.', '_' or '-'`);
+  if (!raw.accessToken && !raw.refreshToken) throw new Error(`${where}: needs "accessToken" or "refreshToken"`);
+  const channels = (raw.channels || []).map(c => String(c).trim().toLowerCase()).filter(Boolean);
+  const broadcasterIds = (raw.broadcasterIds || []).map(String).filter(Boolean);
+  if (!channels.length && !broadcasterIds.length) throw new Error(`${where}: needs "channels" (logins) or "broadcasterIds"`);
+  return {
+    name,
+    accessToken: raw.accessToken || null,
+    refreshToken: raw.refreshToken || null,
+    moderatorId: raw.moderatorId ? String(raw.moderatorId) : null,
+    channels,
+    broadcasterIds
+  };
+}
+
+// Returns the configured accounts; throws with the offending entry on a bad file.
+export function readDaemonConfig({ file = null, env = process.env } = {}) {
+  const accounts = [];
+  if (file) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Cannot read ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(data?.accounts)) throw new Error(`${file}: expected { "accounts": [...] }`);
+    data.accounts.forEach((a, i) => accounts.push(parseAccount(a, `${file} accounts[${i}]`)));
+  }
+  if (env.TWITCH_USER_ACCESS_TOKEN || env.TWITCH_REFRESH_TOKEN) {
+    accounts.push(parseAccount({
+      name: 'env',
+      accessToken: env.TWITCH_USER_ACCESS_TOKEN,
+      refreshToken: env.TWITCH_REFRESH_TOKEN,
+      moderatorId: env.TWITCH_MODERATOR_ID,
+      channels: String(env.TWITCH_CHANNELS || '').split(','),
+      broadcasterIds: env.TWITCH_BROADCASTER_ID ? [env.TWITCH_BROADCASTER_ID] : []
+    }, 'environment'));
+  }
+  const seen = new Set();
+  for (const a of accounts) {
+    if (seen.has(a.name)) throw new Error(`Duplicate daemon account name: ${a.name}`);
+    seen.add(a.name);
+  }
+  return accounts;
+}
+
+// Identifies the configured credentials, so tokens refreshed since the last start are kept
+// until the configuration itself changes.
+export function credentialSeed(account) {
+  return crypto.createHash('sha256').update(`${account.accessToken || ''}\n${account.refreshToken || ''}`).digest('hex').slice(0, 16);
+}
+
+// The credentials themselves were refused; anything else (network, Twitch down) may pass later.
+function authFailure(message) {
+  return Object.assign(new Error(message), { authFailure: true });
+}
+
+export function isAuthFailure(err) {
+  return !!err?.authFailure;
+}
+
+// Checks a token with id.twitch.tv, refreshing it first if it is missing or expired, and
+// returns the auth session fields for it. Throws a readable error if it cannot poll; see
+// isAuthFailure. A refresh spends the old refresh token, so the new pair goes to `onRefresh`
+// before the check continues.
+export async function checkCredentials({ clientId, clientSecret, accessToken, refreshToken, moderatorId = null, onRefresh = () => {} }) {
+  let token = accessToken;
+  let refresh = refreshToken;
+  let info = token ? await validateToken({ userAccessToken: token }) : null;
+  if (!info && refresh) {
+    let refreshed;
+    try {
+      refreshed = await refreshAccessToken({ clientId, clientSecret, refreshToken: refresh });
+    } catch (err) {
+      const message = `refresh failed: ${err?.response?.data?.message || err?.message || err}`;
+      // 400 is Twitch's answer to an invalid or spent refresh token (invalid_grant).
+      const status = err?.response?.status;
+      throw status === 400 || status === 401 || err?.response?.data?.error === 'invalid_grant' ? authFailure(message) : new Error(message);
+    }
+    token = refreshed.access_token;
+    refresh = refreshed.refresh_token || refresh;
+    onRefresh({ token, refreshToken: refresh });
+    info = await validateToken({ userAccessToken: token });
+  }
+  if (!info) throw authFailure(refresh ? 'token is invalid even after a refresh' : 'token is invalid or expired and there is no refresh token');
+  if (clientId && info.client_id !== clientId) {
+    throw authFailure(`token belongs to client ${info.client_id}, not TWITCH_CLIENT_ID`);
+  }
+  const scopes = info.scopes || [];
+  if (!scopes.includes(REQUIRED_SCOPE)) throw authFailure(`token lacks the ${REQUIRED_SCOPE} scope`);
+  if (moderatorId && moderatorId !== info.user_id) {
+    throw authFailure(`token is for ${info.login} (${info.user_id}), not moderator ${moderatorId}`);
+  }
+  return {
+    token,
+    refreshToken: refresh || null,
+    tokenExpiresAt: info.expires_in ? Date.now() + Number(info.expires_in) * 1000 : null,
+    moderatorId: info.user_id,
+    meLogin: info.login,
+    tokenScopes: scopes
+  };
+}
+
+// Starts headless accounts, keeping at it until each one polls. `check` resolves to whether the
+// account is polling; one that is not, or whose check throws, is logged and checked again after
+// `baseBackoffMs`, doubling up to `maxBackoffMs`, for as long as `onFailure(err)` returns true
+// (err is null when the check resolved false). `onResult` gets the outcome of each later check; the first
+// one is returned. Starting a name again replaces its pending retry.
+export function createAccountStarter({
+  onResult = () => {},
+  log = () => {},
+  baseBackoffMs = 30_000,
+  maxBackoffMs = 15 * 60_000,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+} = {}) {
+  const retries = new Map(); // name -> timer
+
+  async function attempt(name, check, onFailure, backoffMs) {
+    let error = null;
+    try {
+      if (await check()) return 'started';
+    } catch (err) {
+      error = err;
+    }
+    const reason = error ? error.message : 'not polling';
+    if (!onFailure(error)) {
+      log(`[daemon:${name}] ${reason}`);
+      return 'failed';
+    }
+    log(`[daemon:${name}] ${reason}; retrying in ${Math.round(backoffMs / 1000)}s`);
+    const timer = setTimer(async () => {
+      if (retries.get(name) !== timer) return;
+      retries.delete(name);
+      onResult(await attempt(name, check, onFailure, Math.min(backoffMs * 2, maxBackoffMs)));
+    }, backoffMs);
+    retries.set(name, timer);
+    return 'retry';
+  }
+
+  return {
+    start(name, check, { onFailure = () => true } = {}) {
+      clearTimer(retries.get(name));
+      retries.delete(name);
+      return attempt(name, check, onFailure, baseBackoffMs);
+    },
+    stop() {
+      for (const timer of retries.values()) clearTimer(timer);
+      retries.clear();
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { createAuthStore, authKeysFromEnv } from './authStore.js';
+import { startDeviceAuth, pollDeviceToken, fetchUserByLogin } from './twitch.js';
+import { checkCredentials, daemonSid } from './daemon.js';
+
+// Signs a headless account in with Twitch's device code flow, for servers without a browser:
+//   npm run device-login -- --channel <login> [--channel <login>] [--name main]
+// Open the printed URL on any device and enter the code. The token is saved as the account
+// `daemon:<name>` to .auth.json.pending, never to .auth.json itself, which a running tracker
+// rewrites from memory; the tracker takes it over within seconds, or on its next start.
+const { values: opts } = parseArgs({
+  options: {
+    channel: { type: 'string', multiple: true, default: [] },
+    name: { type: 'string', default: 'device' },
+    file: { type: 'string', default: './.auth.json' }
+  }
+});
+
+function fail(msg) {
+  console.error(`[device-login] ${msg}`);
+  process.exit(1);
+}
+
+const clientId = process.env.TWITCH_CLIENT_ID;
+const clientSecret = process.env.TWITCH_CLIENT_SECRET;
+const channelLogins = opts.channel.map(c => c.trim().toLowerCase()).filter(Boolean);
+if (!clientId) fail('Set TWITCH_CLIENT_ID first.');
+if (!channelLogins.length) fail('Pass --channel <twitch_login> for each channel to track.');
+if (!/^[\w.-]{1,40}$/.test(opts.name)) fail("--name must be 1-40 letters, digits, '.', '_' or '-'");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForToken(device) {
+  const deadline = Date.now() + device.expires_in * 1000;
+  let intervalMs = (device.interval || 5) * 1000;
+  while (Date.now() < deadline) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(intervalMs);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const token = await pollDeviceToken({ clientId, deviceCode: device.device_code });
+      if (token) return token;
+    } catch (err) {
+      const message = err?.response?.data?.message || err?.message || String(err);
+      if (message !== 'slow_down') throw new Error(message);
+      intervalMs += 5000;
+    }
+  }
+  throw new Error('the code expired before it was entered');
+}
+
+try {
+  const device = await startDeviceAuth({ clientId });
+  console.log(`[device-login] open ${device.verification_uri} and enter the code ${device.user_code}`);
+  const tokenData = await waitForToken(device);
+
+  const auth = await checkCredentials({ clientId, clientSecret, accessToken: tokenData.access_token, refreshToken: tokenData.refresh_token });
+  const channels = [];
+  for (const login of channelLogins) {
+    // eslint-disable-next-line no-await-in-loop
+    const user = await fetchUserByLogin({ clientId, userAccessToken: auth.token, login });
+    if (!user) fail(`Channel not found: ${login}`);
+    channels.push({ broadcasterId: user.id, broadcasterLogin: user.login });
+  }
+
+  const authStore = createAuthStore(opts.file, { keys: authKeysFromEnv(process.env, console.log), log: console.log });
+  authStore.addPending({ [daemonSid(opts.name)]: { ...auth, daemonSeed: null, channels, activeChannel: channels[0].broadcasterLogin } });
+  console.log(`[device-login] saved ${daemonSid(opts.name)} (${auth.meLogin}) tracking ${channelLogins.join(', ')} to ${authStore.pendingPath}; the tracker starts polling with it within seconds (or on its next start).`);
+  process.exit(0);
+} catch (err) {
+  fail(err?.response?.data?.message || err?.message || String(err));
+}
@@ -1,47 +1,122 @@
 import { fetchFollowerCount, fetchUsersByLogins } from './twitch.js';
 
-export function createEnricher({ cfg, store }) {
-  const queue = new Set();
+// The queue lives in SQLite (enrich_queue) so it survives restarts. Profiles older
+// than `ttlMs` are re-queued, and logins that fail back off exponentially.
+// Each job remembers the channel that queued it; `cfg.sessionsFor(channel)` returns
+// the auth sessions to try for that channel, best first, and `cfg.freshToken(a)`
+// returns a usable access token for one of them.
+export function createEnricher({ cfg, store, onProfile = () => {}, ttlMs = 7 * 86_400_000, batchSize = 50, baseBackoffMs = 60_000 }) {
   let running = false;
+  let lastStaleScanAt = 0;
 
-  function enqueue(usernames = []) {
-    for (const u of usernames) if (u) queue.add(String(u).toLowerCase());
+  function staleBefore(now = Date.now()) {
+    return now - ttlMs;
+  }
+
+  function enqueue(usernames = [], channelLogin = null) {
+    const list = [...new Set(usernames.filter(Boolean).map(u => String(u).toLowerCase()))];
+    if (list.length) store.enqueueEnrich(list, { channelLogin, staleBefore: staleBefore() });
+  }
+
+  function errorMessage(err) {
+    const data = err?.response?.data;
+    return data?.message || (typeof data === 'string' ? data : null) || err?.message || String(err);
+  }
+
+  function fail(username, err) {
+    store.failEnrich(username, errorMessage(err), { baseBackoffMs });
+  }
+
+  function isAuthError(err) {
+    const status = err?.response?.status;
+    return status === 401 || status === 403;
+  }
+
+  // Looks the logins up with the first session token that works for the channel.
+  async function lookup(channelLogin, logins) {
+    const candidates = cfg.sessionsFor(channelLogin);
+    if (!candidates.length) throw new Error(`No valid token for ${channelLogin || 'enrichment'}`);
+
+    let lastErr = null;
+    for (const a of candidates) {
+      try {
+        const token = await cfg.freshToken(a);
+        const users = await fetchUsersByLogins({ clientId: cfg.clientId, userAccessToken: token, logins });
+        return { token, users };
+      } catch (err) {
+        lastErr = err;
+        if (!isAuthError(err) && err?.response) break;
+      }
+    }
+    throw lastErr;
+  }
+
+  async function enrichGroup(channelLogin, logins) {
+    let found;
+    try {
+      found = await lookup(channelLogin, logins);
+    } catch (err) {
+      for (const u of logins) fail(u, err);
+      return;
+    }
+
+    const seen = new Set();
+    for (const u of found.users) {
+      const username = (u.login || '').toLowerCase();
+      seen.add(username);
+
+      let followerCount = null;
+      let followerErr = null;
+      try {
+        followerCount = await fetchFollowerCount({
+          clientId: cfg.clientId,
+          userAccessToken: found.token,
+          broadcasterId: u.id
+        });
+      } catch (err) {
+        followerErr = err;
+      }
+
+      const profile = {
+        username,
+        user_id: u.id || null,
+        display_name: u.display_name || null,
+        broadcaster_type: u.broadcaster_type || null,
+        // null keeps the previously stored count
+        follower_count: followerCount,
+        profile_image_url: u.profile_image_url || null,
+        updated_at: Date.now()
+      };
+      store.saveUserProfile(profile);
+      if (followerErr) fail(username, followerErr);
+      else store.completeEnrich(username);
+      onProfile(profile);
+    }
+
+    // Renamed, banned or deleted accounts are not returned by Helix.
+    for (const u of logins) if (!seen.has(u)) fail(u, new Error('User not found'));
   }
 
   async function drain() {
-    if (running || queue.size === 0) return;
+    if (running || !cfg.clientId) return;
     running = true;
     try {
-      const batch = [...queue].slice(0, 50);
-      for (const u of batch) queue.delete(u);
-
-      const users = await fetchUsersByLogins({
-        clientId: cfg.clientId,
-        userAccessToken: cfg.userAccessToken,
-        logins: batch
-      });
-
-      for (const u of users) {
-        let followerCount = null;
-        try {
-          followerCount = await fetchFollowerCount({
-            clientId: cfg.clientId,
-            userAccessToken: cfg.userAccessToken,
-            broadcasterId: u.id
-          });
-        } catch {
-          followerCount = null;
-        }
-
-        store.saveUserProfile({
-          username: (u.login || '').toLowerCase(),
-          user_id: u.id || null,
-          display_name: u.display_name || null,
-          broadcaster_type: u.broadcaster_type || null,
-          follower_count: followerCount,
-          profile_image_url: u.profile_image_url || null,
-          updated_at: Date.now()
-        });
+      const now = Date.now();
+      // Stale profiles are picked up at most once a minute, oldest first.
+      if (now - lastStaleScanAt > 60_000) {
+        lastStaleScanAt = now;
+        store.requeueStaleProfiles(staleBefore(now), batchSize * 4, now);
+      }
+
+      const groups = new Map(); // channel_login -> logins
+      for (const job of store.takeDueEnrich(batchSize, now)) {
+        const key = job.channel_login || null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(job.username);
+      }
+      for (const [channelLogin, logins] of groups) {
+        // eslint-disable-next-line no-await-in-loop
+        await enrichGroup(channelLogin, logins);
       }
     } finally {
       running = false;
@@ -53,8 +128,12 @@ export function createEnricher({ cfg, store }) {
     async tick() {
       await drain();
     },
+    status() {
+      return { ...store.getEnrichStatus(staleBefore()), running, ttlHours: ttlMs / 3_600_000 };
+    },
     stats() {
-      return { queued: queue.size, running };
+      const s = store.getEnrichStatus(staleBefore());
+      return { queued: s.pending + s.failed, failed: s.failed, running };
     }
   };
 }
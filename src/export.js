@@ -0,0 +1,56 @@
+// Streams store exports to an HTTP response as CSV or NDJSON, one keyset page at a
+// time. Each page is a better-sqlite3 iterator that is fully consumed before we wait
+// for the socket to drain, so the connection is never left busy between awaits.
+
+export const EXPORT_DATASETS = ['events', 'sessions', 'visitors'];
+export const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function waitDrain(res) {
+  return new Promise((resolve) => {
+    function done() {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    }
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+export async function streamExport(res, { store, dataset, format, filters, pageSize = 1000 }) {
+  const keyOf = dataset === 'visitors' ? (r) => r.username : (r) => r.id;
+  let columns = null;
+  let after;
+
+  for (;;) {
+    let count = 0;
+    let buf = '';
+    for (const row of store.iterateExport(dataset, { ...filters, after, limit: pageSize })) {
+      if (format === 'csv') {
+        if (!columns) {
+          columns = Object.keys(row);
+          buf += `${columns.join(',')}\n`;
+        }
+        buf += `${columns.map(c => csvCell(row[c])).join(',')}\n`;
+      } else {
+        buf += `${JSON.stringify(row)}\n`;
+      }
+      after = keyOf(row);
+      count++;
+    }
+
+    if (res.destroyed) return;
+    if (buf && !res.write(buf)) await waitDrain(res);
+    if (count < pageSize || res.destroyed) break;
+  }
+  res.end();
+}
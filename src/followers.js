@@ -0,0 +1,84 @@
+import { fetchFollowersPage } from './twitch.js';
+
+// Keeps each tracked channel's follower list (with followed_at) in the `follows` table.
+// Helix returns followers newest first, so an incremental sync stops at the first page
+// holding follows it already has; a periodic full sync also finds unfollows.
+// `cfg` is the enricher's: `sessionsFor(channel)` and `freshToken(a)`.
+export function createFollowerSync({
+  cfg,
+  store,
+  channels,
+  intervalMs = 10 * 60_000,
+  fullIntervalMs = 24 * 3_600_000,
+  maxIncrementalPages = 10
+}) {
+  let running = false;
+  const lastErrors = new Map(); // channel -> message
+
+  function isAuthError(err) {
+    const status = err?.response?.status;
+    return status === 401 || status === 403;
+  }
+
+  // Fetches one page with the first token that is allowed to read the channel's followers.
+  async function fetchPage(channelLogin, broadcasterId, after) {
+    const candidates = cfg.sessionsFor(channelLogin);
+    if (!candidates.length) throw new Error(`No valid token for ${channelLogin}`);
+    let lastErr = null;
+    for (const a of candidates) {
+      try {
+        const token = await cfg.freshToken(a);
+        return await fetchFollowersPage({ clientId: cfg.clientId, userAccessToken: token, broadcasterId, after });
+      } catch (err) {
+        lastErr = err;
+        if (!isAuthError(err)) break;
+      }
+    }
+    throw lastErr;
+  }
+
+  async function syncChannel({ login, broadcasterId }, now) {
+    const state = store.getFollowerSyncState(login);
+    const full = !state.followers_full_synced_at || now - state.followers_full_synced_at >= fullIntervalMs;
+    if (!full && state.followers_synced_at && now - state.followers_synced_at < intervalMs) return;
+
+    let after = null;
+    let total = null;
+    let pages = 0;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await fetchPage(login, broadcasterId, after);
+      const known = store.saveFollowPage(login, page.followers, now);
+      total = page.total;
+      after = page.cursor;
+      pages++;
+      if (!full && known > 0) break;
+    } while (after && (full || pages < maxIncrementalPages));
+
+    store.finishFollowerSync(login, { ts: now, full: full && !after, total });
+  }
+
+  return {
+    async tick() {
+      if (running || !cfg.clientId || !intervalMs) return;
+      running = true;
+      try {
+        for (const ch of channels()) {
+          if (!ch.broadcasterId) continue;
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            await syncChannel(ch, Date.now());
+            lastErrors.delete(ch.login);
+          } catch (err) {
+            lastErrors.set(ch.login, err?.response?.data?.message || err?.message || String(err));
+          }
+        }
+      } finally {
+        running = false;
+      }
+    },
+    status(channelLogin) {
+      return { ...store.getFollowerSyncState(channelLogin), lastError: lastErrors.get(channelLogin) || null, running };
+    }
+  };
+}
@@ -0,0 +1,180 @@
+import crypto from 'node:crypto';
+
+// Lower number runs first when requests compete for the same token's bucket.
+export const PRIORITY = {
+  POLL: 0, // chatters / stream status
+  INTERACTIVE: 1, // OAuth callback, dashboard actions
+  ENRICH: 2 // profile and follower lookups
+};
+
+const RETRY_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+const BUCKET_IDLE_MS = 10 * 60_000;
+
+// Queues Helix requests per OAuth token, keeps each token's rate-limit bucket from the
+// Ratelimit-* response headers, and retries 429/5xx/network failures with jittered backoff.
+export function createHelixScheduler({
+  http,
+  maxConcurrent = 4,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30_000,
+  // Share of each bucket kept free for polls while enrichment runs.
+  pollReserve = 0.1
+}) {
+  const queue = [];
+  const buckets = new Map(); // token -> bucket
+  const counters = { sent: 0, ok: 0, retried: 0, rateLimited: 0, failed: 0 };
+  const byStatus = {};
+  let seq = 0;
+  let inFlight = 0;
+  let timer = null;
+
+  function bucketFor(token) {
+    let b = buckets.get(token);
+    if (!b) {
+      b = {
+        id: crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 8),
+        limit: null,
+        remaining: null,
+        resetAt: null,
+        inFlight: 0,
+        lastUsedAt: Date.now()
+      };
+      buckets.set(token, b);
+    }
+    return b;
+  }
+
+  function readHeaders(b, headers = {}) {
+    const limit = Number(headers['ratelimit-limit']);
+    const remaining = Number(headers['ratelimit-remaining']);
+    const reset = Number(headers['ratelimit-reset']);
+    if (Number.isFinite(limit)) b.limit = limit;
+    if (Number.isFinite(remaining)) b.remaining = remaining;
+    if (Number.isFinite(reset)) b.resetAt = reset * 1000;
+  }
+
+  function available(b, now) {
+    if (b.resetAt && now >= b.resetAt) {
+      b.remaining = null;
+      b.resetAt = null;
+    }
+    if (b.remaining == null) return Infinity;
+    return b.remaining - b.inFlight;
+  }
+
+  function canSend(job, b, now) {
+    const free = available(b, now);
+    const reserve = job.priority >= PRIORITY.ENRICH && b.limit ? Math.ceil(b.limit * pollReserve) : 0;
+    return free > reserve;
+  }
+
+  function backoff(attempt) {
+    const base = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(base * (0.5 + Math.random()));
+  }
+
+  function prune(now) {
+    for (const [token, b] of buckets) {
+      if (!b.inFlight && now - b.lastUsedAt > BUCKET_IDLE_MS && !queue.some(j => j.token === token)) buckets.delete(token);
+    }
+  }
+
+  function schedule(at) {
+    const delay = Math.max(10, at - Date.now());
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(pump, delay);
+  }
+
+  function pump() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    queue.sort((x, y) => x.priority - y.priority || x.seq - y.seq);
+    for (let i = 0; i < queue.length && inFlight < maxConcurrent;) {
+      const job = queue[i];
+      if (job.notBefore > now) {
+        wakeAt = Math.min(wakeAt, job.notBefore);
+        i++;
+        continue;
+      }
+      const b = bucketFor(job.token);
+      if (!canSend(job, b, now)) {
+        wakeAt = Math.min(wakeAt, b.resetAt || now + 1000);
+        i++;
+        continue;
+      }
+      queue.splice(i, 1);
+      dispatch(job, b);
+    }
+
+    prune(now);
+    if (queue.length && wakeAt < Infinity) schedule(wakeAt);
+  }
+
+  async function dispatch(job, b) {
+    inFlight++;
+    b.inFlight++;
+    b.lastUsedAt = Date.now();
+    counters.sent++;
+    try {
+      const res = await http.request(job.config);
+      readHeaders(b, res.headers);
+      byStatus[res.status] = (byStatus[res.status] || 0) + 1;
+      counters.ok++;
+      job.resolve(res);
+    } catch (err) {
+      const res = err?.response;
+      if (res) readHeaders(b, res.headers);
+      const status = res?.status;
+      const key = status || err?.code || 'error';
+      byStatus[key] = (byStatus[key] || 0) + 1;
+      if (status === 429) counters.rateLimited++;
+
+      const retriable = status === 429 || status >= 500 || (!res && RETRY_CODES.has(err?.code));
+      if (retriable && job.attempt < maxRetries) {
+        job.attempt++;
+        counters.retried++;
+        const wait = status === 429 && b.resetAt ? Math.max(0, b.resetAt - Date.now()) + backoff(1) : backoff(job.attempt);
+        job.notBefore = Date.now() + wait;
+        queue.push(job);
+      } else {
+        counters.failed++;
+        job.reject(err);
+      }
+    } finally {
+      inFlight--;
+      b.inFlight--;
+      pump();
+    }
+  }
+
+  function request({ token, priority = PRIORITY.INTERACTIVE, config }) {
+    return new Promise((resolve, reject) => {
+      queue.push({ token, priority, config, resolve, reject, attempt: 0, notBefore: 0, seq: seq++ });
+      pump();
+    });
+  }
+
+  function stats() {
+    const queued = {};
+    for (const [name, p] of Object.entries(PRIORITY)) queued[name.toLowerCase()] = queue.filter(j => j.priority === p).length;
+    return {
+      queued,
+      inFlight,
+      ...counters,
+      byStatus: { ...byStatus },
+      buckets: [...buckets.values()].map(b => ({
+        id: b.id,
+        limit: b.limit,
+        remaining: b.remaining,
+        resetAt: b.resetAt,
+        inFlight: b.inFlight
+      }))
+    };
+  }
+
+  return { request, stats };
+}
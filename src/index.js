@@ -1,16 +1,60 @@
 import 'dotenv/config';
 import express from 'express';
 import crypto from 'node:crypto';
+import fs from 'node:fs';
 import path from 'node:path';
 import { createStore } from './store.js';
-import { fetchChatters, exchangeCodeForToken, fetchMe, fetchUserByLogin, refreshAccessToken } from './twitch.js';
+import {
+  fetchChatters,
+  fetchStream,
+  exchangeCodeForToken,
+  fetchMe,
+  fetchUserByLogin,
+  fetchUserById,
+  refreshAccessToken,
+  helixStats,
+  AUTH_SCOPES
+} from './twitch.js';
 import { createEnricher } from './enrich.js';
-import { createAuthStore } from './authStore.js';
+import { createAuthStore, authKeysFromEnv } from './authStore.js';
+import { createPresence } from './presence.js';
+import { createLiveFeed } from './live.js';
+import { createChatClient, TWITCH_IRC_URL } from './irc.js';
+import { streamExport, EXPORT_DATASETS, EXPORT_FORMATS } from './export.js';
+import { encodeSnapshot } from './snapshots.js';
+import { createBotClassifier } from './bots.js';
+import { createWatchlist, parseWatchRule } from './watch.js';
+import { createFollowerSync } from './followers.js';
+import { createRoleSync, canReadRole, ROLES, ROLE_SCOPES } from './roles.js';
+import { formatMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { readDaemonConfig, checkCredentials, isAuthFailure, credentialSeed, daemonSid, createAccountStarter, DAEMON_SID_PREFIX } from './daemon.js';
 
 const app = express();
 app.set('trust proxy', 1);
 const port = Number(process.env.PORT || 8787);
 const pollMs = Number(process.env.POLL_MS || 15000);
+// A chatter missing from a poll only counts as left after this many missed polls
+// or this many seconds, whichever comes first (0 disables that limit).
+const leaveGracePolls = Number(process.env.LEAVE_GRACE_POLLS ?? 2);
+const leaveGraceMs = Number(process.env.LEAVE_GRACE_SEC || 0) * 1000;
+// Optional IRC connection per tracked channel for JOIN/PART and chat activity.
+const chatEnabled = process.env.CHAT_INGEST === '1';
+const ircUrl = process.env.TWITCH_IRC_URL || TWITCH_IRC_URL;
+// Keep every raw chatter poll (compressed) for `npm run replay`.
+const recordSnapshots = process.env.RECORD_SNAPSHOTS === '1';
+// Stored profiles older than this are re-enriched.
+const enrichTtlMs = Number(process.env.ENRICH_TTL_HOURS || 168) * 3_600_000;
+// How often each channel's new followers are fetched (0 disables), and how often the whole list is re-read to find unfollows.
+const followerSyncMs = Number(process.env.FOLLOWER_SYNC_MIN ?? 10) * 60_000;
+const followerFullSyncMs = Number(process.env.FOLLOWER_FULL_SYNC_HOURS || 24) * 3_600_000;
+// How often each channel's moderator, VIP and subscriber lists are re-read (0 disables).
+const roleSyncMs = Number(process.env.ROLE_SYNC_MIN ?? 30) * 60_000;
+// Raw join/leave events older than this many days are deleted (0 keeps them); daily rollups are kept.
+const eventRetentionDays = Number(process.env.EVENT_RETENTION_DAYS || 0);
+// When set, /metrics needs `Authorization: Bearer <METRICS_TOKEN>`.
+const metricsToken = process.env.METRICS_TOKEN || null;
+const dbPath = process.env.DB_PATH || './tracker.db';
+const listEnv = (v) => String(v || '').split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
 
 const staticCfg = {
   clientId: process.env.TWITCH_CLIENT_ID,
@@ -19,12 +63,153 @@ const staticCfg = {
 };
 
 const oauthState = new Map();
-const authStore = createAuthStore();
+// Token fields in .auth.json are encrypted with AUTH_ENCRYPTION_KEY, or with the key
+// file (created on first run) when no key is set in the environment.
+const authStore = createAuthStore(undefined, { keys: authKeysFromEnv(process.env, console.log), log: console.log });
+const savedAuth = authStore.load() || {};
 
 if (!staticCfg.clientId) console.warn('[warn] missing env: TWITCH_CLIENT_ID');
 if (!staticCfg.clientSecret) console.warn('[warn] missing env: TWITCH_CLIENT_SECRET');
 
-const store = createStore(process.env.DB_PATH || './tracker.db');
+// Refuse to start on a database that is newer than this code or cannot be upgraded.
+let store;
+try {
+  store = createStore(dbPath, {
+    legacyChannel: process.env.LEGACY_CHANNEL_LOGIN?.trim().toLowerCase() || null,
+    knownChannels: Object.values(savedAuth).flatMap(a => savedChannels(a).map(c => c.broadcasterLogin)).filter(Boolean),
+    log: console.log
+  });
+} catch (err) {
+  console.error(`[db] ${err.message}`);
+  process.exit(1);
+}
+const live = createLiveFeed();
+
+function presenceFor(channelLogin) {
+  if (!channelLogin) return null;
+  return createPresence({ store, channelLogin, gracePolls: leaveGracePolls, graceMs: leaveGraceMs });
+}
+
+const sessions = new Map(); // sid -> auth object
+// Presence state lives per channel and is shared by every session tracking it,
+// so a channel is polled once per interval no matter how many moderators watch it.
+const channels = new Map(); // broadcaster login -> tracked channel
+
+function hasPollToken(a) {
+  return !!(a.token && a.moderatorId);
+}
+
+// Sessions whose token can poll the channel, the one that last succeeded first.
+function tokenCandidates(ch) {
+  const out = [];
+  for (const [sid, a] of sessions) {
+    if (!a.channels.has(ch.broadcasterLogin) || !hasPollToken(a)) continue;
+    if (sid === ch.pollSid) out.unshift([sid, a]);
+    else out.push([sid, a]);
+  }
+  return out;
+}
+
+// Starts, moves or stops a channel's chat connection so it runs on a session that tracks it.
+function syncChat(ch) {
+  const owner = ch.chatSid ? sessions.get(ch.chatSid) : null;
+  const ownerOk = owner && owner.token && owner.meLogin && owner.channels.has(ch.broadcasterLogin);
+  if (ch.chat && (!chatEnabled || !ownerOk)) {
+    ch.chat.stop();
+    ch.chat = null;
+    ch.chatSid = null;
+  }
+  if (!chatEnabled || ch.chat) return;
+
+  const found = [...sessions].find(([, a]) => a.token && a.meLogin && a.channels.has(ch.broadcasterLogin));
+  if (!found) return;
+  const [sid, a] = found;
+
+  const channel = ch.broadcasterLogin;
+  function publish(events) {
+    countEvents(ch, events);
+    for (const e of store.attachRoles(channel, events)) live.publish(channel, e.event_type, e, e.id);
+    const joined = events.filter(e => e.event_type === 'join').map(e => e.username);
+    watch.check(channel, joined);
+    enricher.enqueue(joined, channel);
+  }
+  ch.chatSid = sid;
+  ch.chat = createChatClient({
+    url: ircUrl,
+    channelLogin: channel,
+    login: a.meLogin,
+    getToken: () => a.token,
+    onJoin(u, ts) {
+      publish(ch.presence.seen(u, ts, { streamId: ch.streamId }));
+    },
+    onPart(u, ts) {
+      ch.presence.part(u, ts);
+    },
+    onMessage(u, ts, { tags }) {
+      publish(ch.presence.seen(u, ts, { streamId: ch.streamId, userId: tags['user-id'] || null }));
+      store.recordMessage(u, ts, channel);
+    },
+    log: (msg) => console.warn(msg)
+  });
+  ch.chat.start();
+}
+
+// Re-authenticates chat connections after a session's token or account changed.
+function restartChatsFor(sid) {
+  for (const ch of channels.values()) {
+    if (ch.chatSid !== sid) continue;
+    ch.chat?.stop();
+    ch.chat = null;
+    ch.chatSid = null;
+    syncChat(ch);
+  }
+}
+
+function ensureChannel(broadcasterId, broadcasterLogin) {
+  let ch = channels.get(broadcasterLogin);
+  if (!ch) {
+    // Close whatever was left open since the channel was last polled (restart, crash, untracked),
+    // unless the gap is short enough for the leave grace window to have bridged it.
+    const { outage, sessionsClosed } = store.recoverChannel(broadcasterLogin, { resumeWithinMs: Math.max(leaveGraceMs, leaveGracePolls * pollMs) });
+    if (sessionsClosed) {
+      console.log(`[recover:${broadcasterLogin}] closed ${sessionsClosed} open sessions at ${new Date(outage.started_at).toISOString()}`);
+    }
+    ch = {
+      broadcasterId,
+      broadcasterLogin,
+      presence: presenceFor(broadcasterLogin),
+      streamId: store.getOpenStream(broadcasterLogin)?.id || null,
+      chat: null,
+      chatSid: null,
+      pollSid: null, // session whose token polled last
+      lastPollAt: null,
+      lastError: null,
+      // Counters for /metrics since the channel was first tracked by this process.
+      stats: { polls: 0, pollErrors: 0, pollSecSum: 0, lastPollSec: null, joins: 0, leaves: 0 }
+    };
+    channels.set(broadcasterLogin, ch);
+  }
+  return ch;
+}
+
+function countEvents(ch, events) {
+  for (const e of events) {
+    if (e.event_type === 'join') ch.stats.joins++;
+    else if (e.event_type === 'leave') ch.stats.leaves++;
+  }
+}
+
+// Drops the shared channel once no session tracks it any more.
+function releaseChannel(login) {
+  const ch = channels.get(login);
+  if (!ch) return;
+  if ([...sessions.values()].some(a => a.channels.has(login))) {
+    syncChat(ch);
+    return;
+  }
+  ch.chat?.stop();
+  channels.delete(login);
+}
 
 function newSessionAuth() {
   return {
@@ -34,31 +219,55 @@ function newSessionAuth() {
     moderatorId: null,
     meLogin: null,
     tokenScopes: [],
-    broadcasterId: null,
-    broadcasterLogin: null,
-    current: new Set(),
-    lastPollAt: null,
-    lastError: null
+    daemonSeed: null, // set for headless accounts, see startDaemon
+    channels: new Set(), // broadcaster logins this session tracks
+    activeChannel: null // login the dashboard is looking at
   };
 }
 
-const sessions = new Map(); // sid -> auth object
+function addChannel(a, broadcaster) {
+  const ch = ensureChannel(broadcaster.id, broadcaster.login);
+  a.channels.add(ch.broadcasterLogin);
+  if (!a.activeChannel) a.activeChannel = ch.broadcasterLogin;
+  syncChat(ch);
+  return ch;
+}
+
+function removeChannel(a, login) {
+  if (!a.channels.delete(login)) return false;
+  if (a.activeChannel === login) a.activeChannel = a.channels.values().next().value || null;
+  releaseChannel(login);
+  return true;
+}
+
+// Called after the session was replaced or deleted.
+function releaseSession(logins) {
+  for (const login of logins) releaseChannel(login);
+}
+
+// Channels of a stored session. Files written before multi-channel tracking hold a single
+// broadcasterId/broadcasterLogin.
+function savedChannels(a) {
+  return a.channels || (a.broadcasterLogin ? [{ broadcasterId: a.broadcasterId, broadcasterLogin: a.broadcasterLogin }] : []);
+}
+
+// Rebuilds an auth session from its stored form (see persistAuth).
+function restoreSession(sid, a) {
+  const v = newSessionAuth();
+  v.token = a.token || null;
+  v.refreshToken = a.refreshToken || null;
+  v.tokenExpiresAt = a.tokenExpiresAt || null;
+  v.moderatorId = a.moderatorId || null;
+  v.meLogin = a.meLogin || null;
+  v.tokenScopes = a.tokenScopes || [];
+  v.daemonSeed = a.daemonSeed || null;
+  sessions.set(sid, v);
+  for (const c of savedChannels(a)) addChannel(v, { id: c.broadcasterId, login: c.broadcasterLogin });
+  if (a.activeChannel && v.channels.has(a.activeChannel)) v.activeChannel = a.activeChannel;
+}
 
 (function bootAuthFromDisk() {
-  const saved = authStore.load() || {};
-  for (const [sid, a] of Object.entries(saved)) {
-    const v = newSessionAuth();
-    v.token = a.token || null;
-    v.refreshToken = a.refreshToken || null;
-    v.tokenExpiresAt = a.tokenExpiresAt || null;
-    v.moderatorId = a.moderatorId || null;
-    v.meLogin = a.meLogin || null;
-    v.tokenScopes = a.tokenScopes || [];
-    v.broadcasterId = a.broadcasterId || null;
-    v.broadcasterLogin = a.broadcasterLogin || null;
-    v.current = store.getOpenSet(v.broadcasterLogin || '__none__');
-    sessions.set(sid, v);
-  }
+  for (const [sid, a] of Object.entries(savedAuth)) restoreSession(sid, a);
 })();
 
 function persistAuth() {
@@ -71,8 +280,9 @@ function persistAuth() {
       moderatorId: a.moderatorId,
       meLogin: a.meLogin,
       tokenScopes: a.tokenScopes,
-      broadcasterId: a.broadcasterId,
-      broadcasterLogin: a.broadcasterLogin
+      daemonSeed: a.daemonSeed,
+      channels: [...a.channels].map(login => ({ broadcasterId: channels.get(login)?.broadcasterId || null, broadcasterLogin: login })),
+      activeChannel: a.activeChannel
     };
   }
   authStore.save(out);
@@ -94,7 +304,8 @@ function parseCookies(req) {
 function getSid(req, res) {
   const cookies = parseCookies(req);
   let sid = cookies.tp_sid;
-  if (!sid) sid = crypto.randomBytes(24).toString('hex');
+  // Only ids we handed out; anything else (e.g. a headless `daemon:` session id) gets a fresh one.
+  if (!/^[0-9a-f]{48}$/.test(sid || '')) sid = crypto.randomBytes(24).toString('hex');
 
   const secure = req.secure || (req.headers['x-forwarded-proto'] || '').toString().includes('https');
   // Persist browser session identity for 30 days so auth survives tab/browser restarts.
@@ -108,9 +319,50 @@ function getSessionAuth(req, res) {
   return { sid, auth: sessions.get(sid) };
 }
 
-async function ensureFreshToken(a) {
-  if (!a.refreshToken || !a.tokenExpiresAt) return;
-  if (Date.now() < a.tokenExpiresAt - 60_000) return;
+// Channel a request is about: ?channel= when given, else the session's active channel.
+function channelFor(req, a) {
+  return String(req.query.channel || a.activeChannel || '').trim().toLowerCase();
+}
+
+// The shared channel state for a login, but only if this session tracks it.
+function sessionChannel(a, login) {
+  return a.channels.has(login) ? channels.get(login) || null : null;
+}
+
+// A count from the query string, clamped to `max`; missing, non-numeric or non-positive -> `def`.
+function parseLimit(value, def, max) {
+  const n = Math.trunc(Number(value));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : def;
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands; empty -> null.
+function parseTime(v) {
+  if (v == null || v === '') return null;
+  const s = String(v);
+  const n = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function channelSummary(a, ch) {
+  return {
+    broadcasterId: ch.broadcasterId,
+    broadcasterLogin: ch.broadcasterLogin,
+    active: a.activeChannel === ch.broadcasterLogin,
+    onlineCount: ch.presence.current.size,
+    streamId: ch.streamId,
+    polledBy: sessions.get(ch.pollSid)?.meLogin || null,
+    lastPollAt: ch.lastPollAt,
+    lastError: ch.lastError
+  };
+}
+
+function sessionChannels(a) {
+  return [...a.channels].map(login => channels.get(login)).filter(Boolean);
+}
+
+async function ensureFreshToken(a, { force = false } = {}) {
+  if (!a.refreshToken) return;
+  if (!force && (!a.tokenExpiresAt || Date.now() < a.tokenExpiresAt - 60_000)) return;
 
   const refreshed = await refreshAccessToken({
     clientId: staticCfg.clientId,
@@ -126,72 +378,202 @@ async function ensureFreshToken(a) {
 
 const cfgForEnrich = {
   get clientId() { return staticCfg.clientId; },
-  // uses whichever token most recently queued; enrich failures are non-fatal
-  userAccessToken: null
+  // Sessions that poll the channel first, then any other session with a token.
+  sessionsFor(channelLogin) {
+    const ch = channelLogin ? channels.get(channelLogin) : null;
+    const out = ch ? tokenCandidates(ch).map(([, a]) => a) : [];
+    for (const a of sessions.values()) if (a.token && !out.includes(a)) out.push(a);
+    return out;
+  },
+  async freshToken(a) {
+    await ensureFreshToken(a);
+    return a.token;
+  }
 };
-const enricher = createEnricher({ cfg: cfgForEnrich, store });
+const enricher = createEnricher({
+  cfg: cfgForEnrich,
+  store,
+  ttlMs: enrichTtlMs,
+  onProfile(profile) {
+    // Only channels where the user is currently present care about the new profile.
+    for (const ch of channels.values()) {
+      if (!ch.presence.current.has(profile.username)) continue;
+      live.publish(ch.broadcasterLogin, 'enriched', profile);
+      watch.check(ch.broadcasterLogin, [profile.username]);
+    }
+  }
+});
 
-async function tickOne(a) {
-  if (!staticCfg.clientId || !a.token || !a.broadcasterId || !a.moderatorId || !a.broadcasterLogin) return;
+const followers = createFollowerSync({
+  cfg: cfgForEnrich,
+  store,
+  channels: () => [...channels.values()].map(ch => ({ login: ch.broadcasterLogin, broadcasterId: ch.broadcasterId })),
+  intervalMs: followerSyncMs,
+  fullIntervalMs: followerFullSyncMs
+});
 
-  const ts = Date.now();
-  a.lastPollAt = ts;
-  try {
-    await ensureFreshToken(a);
-    const next = await fetchChatters({
-      clientId: staticCfg.clientId,
-      userAccessToken: a.token,
-      broadcasterId: a.broadcasterId,
-      moderatorId: a.moderatorId
-    });
+const roles = createRoleSync({
+  cfg: cfgForEnrich,
+  store,
+  channels: () => [...channels.values()].map(ch => ({ login: ch.broadcasterLogin, broadcasterId: ch.broadcasterId })),
+  intervalMs: roleSyncMs,
+  onChange(channelLogin, role, c) {
+    console.log(`[roles] ${channelLogin} ${role}s: +${c.added} -${c.removed}${c.tier ? ` ~${c.tier} tier` : ''}`);
+  }
+});
 
-    const joined = [...next].filter(u => !a.current.has(u));
-    const left = [...a.current].filter(u => !next.has(u));
+const watch = createWatchlist({
+  store,
+  secret: process.env.WEBHOOK_SECRET || null,
+  onAlert(alert) {
+    live.publish(alert.channel_login, 'watch', alert);
+  }
+});
 
-    for (const u of joined) store.eventJoin(u, ts, a.broadcasterLogin);
-    for (const u of left) store.eventLeave(u, ts, a.broadcasterLogin);
+const bots = createBotClassifier({
+  store,
+  allow: listEnv(process.env.BOT_ALLOW),
+  deny: listEnv(process.env.BOT_DENY),
+  minChannels: Number(process.env.BOT_MIN_CHANNELS || 3)
+});
 
-    if (joined.length || left.length) {
-      cfgForEnrich.userAccessToken = a.token;
-      enricher.enqueue(joined);
+// Records broadcast start/end for the channel and returns the live stream id (or null).
+function syncBroadcast(channelLogin, onAir, ts) {
+  const prev = store.getOpenStream(channelLogin);
+  if (onAir) {
+    const stream = {
+      id: onAir.id,
+      channel_login: channelLogin,
+      title: onAir.title || null,
+      category: onAir.game_name || null,
+      started_at: Date.parse(onAir.started_at) || ts
+    };
+    if (prev && prev.id === onAir.id) {
+      store.openStream(stream);
+      return onAir.id;
     }
+    if (prev) store.endStream(prev.id, ts);
+    store.openStream(stream);
+    return onAir.id;
+  }
+  if (prev) store.endStream(prev.id, ts);
+  return null;
+}
 
-    a.current = next;
-    a.lastError = null;
+async function fetchSnapshot(a, ch) {
+  const onAir = await fetchStream({
+    clientId: staticCfg.clientId,
+    userAccessToken: a.token,
+    broadcasterId: ch.broadcasterId
+  });
+  const next = await fetchChatters({
+    clientId: staticCfg.clientId,
+    userAccessToken: a.token,
+    broadcasterId: ch.broadcasterId,
+    moderatorId: a.moderatorId
+  });
+  return { onAir, next };
+}
+
+// One poll of the channel with one session's token; a 401 refreshes the token and retries once.
+async function pollWith(a, ch) {
+  await ensureFreshToken(a);
+  try {
+    return await fetchSnapshot(a, ch);
   } catch (err) {
-    const status = err?.response?.status;
-    if (status === 401 && a.refreshToken) {
-      try {
-        const refreshed = await refreshAccessToken({
-          clientId: staticCfg.clientId,
-          clientSecret: staticCfg.clientSecret,
-          refreshToken: a.refreshToken
-        });
-        a.token = refreshed.access_token;
-        a.refreshToken = refreshed.refresh_token || a.refreshToken;
-        a.tokenScopes = refreshed.scope || a.tokenScopes;
-        a.tokenExpiresAt = Date.now() + (Number(refreshed.expires_in || 0) * 1000);
-        persistAuth();
-        return;
-      } catch (e2) {
-        a.lastError = e2?.response?.data || e2?.message || String(e2);
-        return;
-      }
+    if (err?.response?.status !== 401 || !a.refreshToken) throw err;
+    await ensureFreshToken(a, { force: true });
+    return fetchSnapshot(a, ch);
+  }
+}
+
+async function tickChannel(ch) {
+  const candidates = tokenCandidates(ch);
+  if (!staticCfg.clientId || !candidates.length) return;
+
+  const ts = Date.now();
+  ch.lastPollAt = ts;
+  const started = performance.now();
+  const finish = (ok) => {
+    const sec = (performance.now() - started) / 1000;
+    ch.stats.lastPollSec = sec;
+    ch.stats.pollSecSum += sec;
+    if (ok) ch.stats.polls++;
+    else ch.stats.pollErrors++;
+  };
+  let lastErr = null;
+  for (const [sid, a] of candidates) {
+    let snapshot;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      snapshot = await pollWith(a, ch);
+    } catch (err) {
+      // Fall back to the next moderator's token for this channel.
+      lastErr = err;
+      continue;
     }
-    a.lastError = err?.response?.data || err?.message || String(err);
+
+    const { onAir, next } = snapshot;
+    finish(true);
+    ch.pollSid = sid;
+    store.markPolled(ch.broadcasterLogin, ts);
+    const streamId = syncBroadcast(ch.broadcasterLogin, onAir, ts);
+    ch.streamId = streamId;
+    const { joined, events } = ch.presence.observe(next, ts, { streamId });
+    if (recordSnapshots) store.saveSnapshot(ch.broadcasterLogin, ts, streamId, next.size, encodeSnapshot(next));
+    if (streamId) store.bumpStreamPeak(streamId, next.size);
+    countEvents(ch, events);
+
+    for (const e of store.attachRoles(ch.broadcasterLogin, events)) live.publish(ch.broadcasterLogin, e.event_type, e, e.id);
+    live.publish(ch.broadcasterLogin, 'poll', { ts, onlineCount: ch.presence.current.size, streamId });
+
+    watch.check(ch.broadcasterLogin, joined, ts);
+    enricher.enqueue(joined, ch.broadcasterLogin);
+
+    ch.lastError = null;
+    return;
   }
+
+  finish(false);
+  ch.lastError = lastErr?.response?.data || lastErr?.message || String(lastErr);
+  live.publish(ch.broadcasterLogin, 'poll-error', { ts, error: ch.lastError });
 }
 
 async function tickAll() {
-  for (const a of sessions.values()) {
+  for (const ch of [...channels.values()]) {
     // eslint-disable-next-line no-await-in-loop
-    await tickOne(a);
+    await tickChannel(ch);
   }
 }
 
 setInterval(() => tickAll().catch(() => {}), pollMs);
 setInterval(() => enricher.tick().catch((e) => console.error('[enrich:error]', e?.message || e)), 4000);
 setTimeout(() => tickAll().catch(() => {}), 1500);
+function runBots() {
+  try {
+    bots.run();
+  } catch (e) {
+    console.error('[bots:error]', e?.message || e);
+  }
+}
+setInterval(runBots, 10 * 60_000);
+setInterval(() => watch.tick().catch((e) => console.error('[webhook:error]', e?.message || e)), 5000);
+setTimeout(runBots, 5000);
+function pruneEvents() {
+  if (eventRetentionDays <= 0) return;
+  try {
+    const n = store.pruneEvents(Date.now() - eventRetentionDays * 86_400_000);
+    if (n) console.log(`[retention] deleted ${n} events older than ${eventRetentionDays} days`);
+  } catch (e) {
+    console.error('[retention:error]', e?.message || e);
+  }
+}
+setInterval(pruneEvents, 60 * 60_000);
+setInterval(() => followers.tick().catch((e) => console.error('[followers:error]', e?.message || e)), 60_000);
+setTimeout(() => followers.tick().catch((e) => console.error('[followers:error]', e?.message || e)), 8000);
+setInterval(() => roles.tick().catch((e) => console.error('[roles:error]', e?.message || e)), 60_000);
+setTimeout(() => roles.tick().catch((e) => console.error('[roles:error]', e?.message || e)), 12_000);
+setTimeout(pruneEvents, 10_000);
 
 app.get('/auth/start', (req, res) => {
   const { sid } = getSessionAuth(req, res);
@@ -205,7 +587,7 @@ app.get('/auth/start', (req, res) => {
   const state = crypto.randomBytes(18).toString('hex');
   oauthState.set(state, { sid, broadcasterLogin, createdAt: Date.now() });
 
-  const scope = encodeURIComponent('moderator:read:chatters moderator:read:followers offline_access');
+  const scope = encodeURIComponent([...AUTH_SCOPES, 'offline_access'].join(' '));
   const url = `https://id.twitch.tv/oauth2/authorize?client_id=${encodeURIComponent(staticCfg.clientId)}&redirect_uri=${encodeURIComponent(staticCfg.redirectUri)}&response_type=code&scope=${scope}&state=${state}`;
   res.redirect(url);
 });
@@ -245,17 +627,32 @@ app.get('/auth/callback', async (req, res) => {
     });
 
     if (!broadcaster) throw new Error(`Broadcaster login not found: ${st.broadcasterLogin}`);
-    a.broadcasterId = broadcaster.id;
-    a.broadcasterLogin = broadcaster.login;
-    a.current = store.getOpenSet(a.broadcasterLogin);
+    addChannel(a, broadcaster);
+    a.activeChannel = broadcaster.login;
+    // A new token (possibly a different account) means its chat connections must re-authenticate.
+    restartChatsFor(st.sid);
     persistAuth();
 
-    res.send(`OAuth complete ✅<br/>Channel: ${a.broadcasterLogin}<br/>Moderator token user: ${a.meLogin}<br/><a href='/'>Open dashboard</a>`);
+    res.send(`OAuth complete ✅<br/>Channel: ${broadcaster.login}<br/>Moderator token user: ${a.meLogin}<br/><a href='/'>Open dashboard</a>`);
   } catch (e) {
     res.status(500).send(`OAuth failed: ${e?.message || e}`);
   }
 });
 
+// Per role: whether this token can read the list for the channel, and the scopes that would allow it.
+function roleAccess(a, broadcasterId) {
+  const isBroadcaster = !!broadcasterId && a.moderatorId === broadcasterId;
+  return Object.fromEntries(ROLES.map((role) => {
+    const need = ROLE_SCOPES[role];
+    const readable = !!a.token && canReadRole(a, role, broadcasterId);
+    return [role, {
+      readable,
+      needs: readable ? [] : [...need.moderator, ...(isBroadcaster ? need.broadcaster.slice(0, 1) : [])],
+      broadcasterOnly: !need.moderator.length
+    }];
+  }));
+}
+
 app.get('/auth/status', (req, res) => {
   const { auth: a } = getSessionAuth(req, res);
   res.json({
@@ -263,39 +660,82 @@ app.get('/auth/status', (req, res) => {
     authed: !!a.token,
     moderatorId: a.moderatorId,
     moderatorLogin: a.meLogin,
-    broadcasterId: a.broadcasterId,
-    broadcasterLogin: a.broadcasterLogin,
+    broadcasterId: channels.get(a.activeChannel)?.broadcasterId || null,
+    broadcasterLogin: a.activeChannel,
+    channels: [...a.channels],
     scopes: a.tokenScopes,
+    missingScopes: a.token ? AUTH_SCOPES.filter(sc => !a.tokenScopes.includes(sc)) : [],
+    roles: roleAccess(a, channels.get(a.activeChannel)?.broadcasterId || null),
     tokenExpiresAt: a.tokenExpiresAt
   });
 });
 
 app.post('/auth/logout', (req, res) => {
   const { sid } = getSessionAuth(req, res);
+  const tracked = sessions.get(sid).channels;
   sessions.set(sid, newSessionAuth());
+  releaseSession(tracked);
   persistAuth();
   res.json({ ok: true });
 });
 
+async function resolveChannel(a, req) {
+  const login = String(req.query.channel || '').trim().toLowerCase();
+  if (!login) return { status: 400, error: 'Missing ?channel=<twitch_login>' };
+  const broadcaster = await fetchUserByLogin({
+    clientId: staticCfg.clientId,
+    userAccessToken: a.token,
+    login
+  });
+  if (!broadcaster) return { status: 404, error: `Channel not found: ${login}` };
+  return { broadcaster };
+}
+
+app.get('/track/list', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  res.json({ items: sessionChannels(a).map(ch => channelSummary(a, ch)), active: a.activeChannel });
+});
+
+app.get('/track/add', async (req, res) => {
+  try {
+    const { auth: a } = getSessionAuth(req, res);
+    if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+    const r = await resolveChannel(a, req);
+    if (r.error) return res.status(r.status).json({ error: r.error });
+
+    const ch = addChannel(a, r.broadcaster);
+    persistAuth();
+    res.json({ ok: true, channel: channelSummary(a, ch) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.get('/track/remove', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const login = String(req.query.channel || '').trim().toLowerCase();
+  if (!login) return res.status(400).json({ error: 'Missing ?channel=<twitch_login>' });
+  if (!removeChannel(a, login)) return res.status(404).json({ error: `Not tracking: ${login}` });
+  persistAuth();
+  res.json({ ok: true, active: a.activeChannel });
+});
+
+// Makes the channel the active one, tracking it first if needed.
 app.get('/track/set', async (req, res) => {
   try {
     const { auth: a } = getSessionAuth(req, res);
     if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
     const login = String(req.query.channel || '').trim().toLowerCase();
-    if (!login) return res.status(400).json({ error: 'Missing ?channel=<twitch_login>' });
-
-    const broadcaster = await fetchUserByLogin({
-      clientId: staticCfg.clientId,
-      userAccessToken: a.token,
-      login
-    });
-    if (!broadcaster) return res.status(404).json({ error: `Channel not found: ${login}` });
+    let ch = sessionChannel(a, login);
+    if (!ch) {
+      const r = await resolveChannel(a, req);
+      if (r.error) return res.status(r.status).json({ error: r.error });
+      ch = addChannel(a, r.broadcaster);
+    }
 
-    a.broadcasterId = broadcaster.id;
-    a.broadcasterLogin = broadcaster.login;
-    a.current = store.getOpenSet(a.broadcasterLogin);
+    a.activeChannel = ch.broadcasterLogin;
     persistAuth();
-    res.json({ ok: true, broadcasterId: a.broadcasterId, broadcasterLogin: a.broadcasterLogin });
+    res.json({ ok: true, broadcasterId: ch.broadcasterId, broadcasterLogin: ch.broadcasterLogin });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
@@ -303,67 +743,727 @@ app.get('/track/set', async (req, res) => {
 
 app.get('/health', (req, res) => {
   const { auth: a } = getSessionAuth(req, res);
-  res.json({ ok: true, pollMs, lastPollAt: a.lastPollAt, hasError: !!a.lastError });
+  const tracked = sessionChannels(a);
+  const lastPollAt = tracked.reduce((m, ch) => Math.max(m, ch.lastPollAt || 0), 0) || null;
+  res.json({
+    ok: true,
+    pollMs,
+    lastPollAt,
+    hasError: tracked.some(ch => !!ch.lastError),
+    schemaVersion: store.migration.to,
+    channels: tracked.map(ch => ({ channel: ch.broadcasterLogin, lastPollAt: ch.lastPollAt, hasError: !!ch.lastError }))
+  });
+});
+
+function metricsAuthorized(req) {
+  if (!metricsToken) return true;
+  const m = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!m) return false;
+  const given = crypto.createHash('sha256').update(m[1]).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(metricsToken).digest());
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch {
+    return 0;
+  }
+}
+
+// Every tracked channel and signed-in token, not just the caller's session.
+app.get('/metrics', (req, res) => {
+  if (!metricsAuthorized(req)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({ error: 'Missing or invalid bearer token' });
+  }
+  const tracked = [...channels.values()];
+  const perChannel = (fn) => tracked.map(ch => ({ labels: { channel: ch.broadcasterLogin }, value: fn(ch) }));
+  const helix = helixStats();
+  const enrich = enricher.status();
+  const tokens = [...sessions].filter(([, a]) => a.token);
+
+  res.type(METRICS_CONTENT_TYPE).send(formatMetrics([
+    { name: 'tracker_schema_version', help: 'Database schema version.', type: 'gauge', samples: [{ value: store.migration.to }] },
+    { name: 'tracker_channels', help: 'Channels tracked by at least one session.', type: 'gauge', samples: [{ value: tracked.length }] },
+    { name: 'tracker_channel_online', help: 'Viewers present at the last poll.', type: 'gauge', samples: perChannel(ch => ch.presence.current.size) },
+    { name: 'tracker_channel_live', help: '1 while the channel is broadcasting.', type: 'gauge', samples: perChannel(ch => (ch.streamId ? 1 : 0)) },
+    {
+      name: 'tracker_polls_total',
+      help: 'Chatter polls by result.',
+      type: 'counter',
+      samples: tracked.flatMap(ch => [
+        { labels: { channel: ch.broadcasterLogin, result: 'ok' }, value: ch.stats.polls },
+        { labels: { channel: ch.broadcasterLogin, result: 'error' }, value: ch.stats.pollErrors }
+      ])
+    },
+    {
+      name: 'tracker_poll_duration_seconds',
+      help: 'Time spent per poll, including token refreshes and fallbacks.',
+      type: 'summary',
+      samples: tracked.flatMap(ch => [
+        { labels: { channel: ch.broadcasterLogin }, value: ch.stats.pollSecSum, suffix: '_sum' },
+        { labels: { channel: ch.broadcasterLogin }, value: ch.stats.polls + ch.stats.pollErrors, suffix: '_count' }
+      ])
+    },
+    { name: 'tracker_last_poll_duration_seconds', help: 'Duration of the most recent poll.', type: 'gauge', samples: perChannel(ch => ch.stats.lastPollSec) },
+    { name: 'tracker_last_poll_timestamp_seconds', help: 'Start of the most recent poll.', type: 'gauge', samples: perChannel(ch => (ch.lastPollAt ? ch.lastPollAt / 1000 : null)) },
+    { name: 'tracker_poll_failing', help: '1 if the most recent poll failed.', type: 'gauge', samples: perChannel(ch => (ch.lastError ? 1 : 0)) },
+    {
+      name: 'tracker_presence_events_total',
+      help: 'Join and leave events recorded.',
+      type: 'counter',
+      samples: tracked.flatMap(ch => [
+        { labels: { channel: ch.broadcasterLogin, type: 'join' }, value: ch.stats.joins },
+        { labels: { channel: ch.broadcasterLogin, type: 'leave' }, value: ch.stats.leaves }
+      ])
+    },
+    {
+      name: 'tracker_helix_responses_total',
+      help: 'Helix responses by HTTP status, or error code when there was no response.',
+      type: 'counter',
+      samples: Object.entries(helix.byStatus).map(([status, n]) => ({ labels: { status }, value: n }))
+    },
+    { name: 'tracker_helix_requests_total', help: 'Helix requests sent, retries included.', type: 'counter', samples: [{ value: helix.sent }] },
+    { name: 'tracker_helix_retries_total', help: 'Helix requests retried.', type: 'counter', samples: [{ value: helix.retried }] },
+    { name: 'tracker_helix_rate_limited_total', help: 'Helix 429 responses.', type: 'counter', samples: [{ value: helix.rateLimited }] },
+    { name: 'tracker_helix_failures_total', help: 'Helix requests that failed after retries.', type: 'counter', samples: [{ value: helix.failed }] },
+    {
+      name: 'tracker_helix_queued',
+      help: 'Helix requests waiting, by priority.',
+      type: 'gauge',
+      samples: Object.entries(helix.queued).map(([priority, n]) => ({ labels: { priority }, value: n }))
+    },
+    {
+      name: 'tracker_token_expiry_timestamp_seconds',
+      help: 'When each signed-in access token expires; session is a hash of the session id.',
+      type: 'gauge',
+      samples: tokens.map(([sid, a]) => ({
+        labels: { login: a.meLogin || '', session: crypto.createHash('sha256').update(sid).digest('hex').slice(0, 8) },
+        value: a.tokenExpiresAt ? a.tokenExpiresAt / 1000 : null
+      }))
+    },
+    {
+      name: 'tracker_enrich_queue',
+      help: 'Profile lookups queued, by state.',
+      type: 'gauge',
+      samples: [
+        { labels: { state: 'pending' }, value: enrich.pending },
+        { labels: { state: 'failed' }, value: enrich.failed },
+        { labels: { state: 'due' }, value: enrich.due }
+      ]
+    },
+    { name: 'tracker_enrich_stale_profiles', help: `Profiles older than ${enrich.ttlHours} hours.`, type: 'gauge', samples: [{ value: enrich.stale }] },
+    { name: 'tracker_live_clients', help: 'Open /live connections.', type: 'gauge', samples: [{ value: live.stats().clients }] },
+    {
+      name: 'tracker_sqlite_bytes',
+      help: 'Size of the SQLite database and its write-ahead log.',
+      type: 'gauge',
+      samples: [
+        { labels: { file: 'db' }, value: fileSize(dbPath) },
+        { labels: { file: 'wal' }, value: fileSize(`${dbPath}-wal`) }
+      ]
+    }
+  ]));
 });
 
 app.get('/state', (req, res) => {
   const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  const ch = sessionChannel(a, channel);
+  const excludeBots = req.query.excludeBots === '1';
+  const present = ch ? [...ch.presence.current] : [];
+  const flagged = present.filter(u => bots.isBot(u));
+  const current = excludeBots ? present.filter(u => !bots.isBot(u)) : present;
   res.json({
-    onlineCount: a.current.size,
-    users: [...a.current].sort(),
-    lastPollAt: a.lastPollAt,
-    lastError: a.lastError,
+    onlineCount: current.length,
+    users: current.sort(),
+    bots: flagged.sort(),
+    excludeBots,
+    pendingLeave: ch ? ch.presence.pending.sort() : [],
+    stream: channel ? store.getOpenStream(channel) : null,
+    lastPollAt: ch?.lastPollAt || null,
+    lastError: ch?.lastError || null,
     enrich: enricher.stats(),
+    botClassifier: bots.stats(),
+    helix: helixStats(),
+    live: live.stats(),
+    chat: ch?.chat ? ch.chat.stats() : null,
     auth: {
       authed: !!a.token,
-      broadcasterLogin: a.broadcasterLogin,
+      broadcasterLogin: a.activeChannel,
       moderatorLogin: a.meLogin
     },
-    channel: a.broadcasterLogin || null
+    channels: sessionChannels(a).map(c => channelSummary(a, c)),
+    channel: channel || null
   });
 });
 
+app.get('/enrich/status', (req, res) => {
+  const limit = parseLimit(req.query.limit, 50, 500);
+  res.json({ ...enricher.status(), failures: store.getEnrichFailures(limit) });
+});
+
+// ?role= on the events feed and visitor lists: a role, or 'none' for viewers without one.
+const ROLE_FILTERS = [...ROLES, 'none'];
+
+function roleParam(req) {
+  const role = req.query.role ? String(req.query.role) : null;
+  if (role && !ROLE_FILTERS.includes(role)) return { error: `role must be one of ${ROLE_FILTERS.join(', ')}` };
+  return { role };
+}
+
+// ?minConfidence= as { minConfidence } (default 0), or { error } unless it is a number from 0 to 1.
+function minConfidenceParam(req) {
+  const raw = req.query.minConfidence;
+  if (raw == null || raw === '') return { minConfidence: 0 };
+  const minConfidence = Number(raw);
+  if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) return { error: 'minConfidence must be a number from 0 to 1' };
+  return { minConfidence };
+}
+
 app.get('/events', (req, res) => {
   const { auth: a } = getSessionAuth(req, res);
   const limit = Math.min(Number(req.query.limit || 100), 1000);
   const offset = Math.max(0, Number(req.query.offset || 0));
-  const channel = String(req.query.channel || a.broadcasterLogin || '').toLowerCase();
+  const channel = channelFor(req, a);
+  const { role, error } = roleParam(req);
+  if (error) return res.status(400).json({ error });
   if (!channel) return res.json({ items: [], total: 0, limit, offset });
   res.json({
-    items: store.getEvents(channel, limit, offset),
-    total: store.countEvents(channel),
+    items: store.getEvents(channel, limit, offset, { role }),
+    total: store.countEvents(channel, { role }),
     limit,
     offset,
+    role,
     channel
   });
 });
 
+app.get('/live', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  const ch = sessionChannel(a, channel);
+  if (!ch) return res.status(400).json({ error: channel ? `Not tracking: ${channel}` : 'Not tracking a channel yet.' });
+
+  const feed = live.subscribe(channel, req, res);
+  const current = ch.presence.current;
+  feed.send('state', { channel, onlineCount: current.size, users: [...current].sort(), lastPollAt: ch.lastPollAt });
+
+  // Resume after a reconnect; a gap larger than one page tells the client to reload /events.
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId || 0);
+  if (lastEventId > 0) {
+    const missed = store.getEventsSince(channel, lastEventId, 1000);
+    if (missed.length === 1000) feed.send('resync', { reason: 'too many missed events' });
+    else for (const e of missed) feed.send(e.event_type, e, e.id);
+  }
+});
+
 app.get('/sessions', (req, res) => {
   const { auth: a } = getSessionAuth(req, res);
   const limit = Number(req.query.limit || 100);
   const username = req.query.username ? String(req.query.username).toLowerCase() : null;
-  const channel = String(req.query.channel || a.broadcasterLogin || '').toLowerCase();
+  const minConfidence = Number(req.query.minConfidence || 0);
+  const streamId = req.query.streamId ? String(req.query.streamId) : null;
+  const channel = channelFor(req, a);
   if (!channel) return res.json({ items: [] });
-  let items = store.getSessions(channel, Math.min(limit, 1000));
-  if (username) items = items.filter(x => (x.username || '').toLowerCase() === username);
-  res.json({ items, channel });
+  // Any past login of the viewer matches, so a rename does not hide older sessions.
+  const user = username ? store.resolveUser(username) : null;
+  const items = store.getSessions(channel, Math.min(limit, 1000), { minConfidence, streamId, user });
+  res.json({ items, minConfidence, userId: user?.userId ?? null, logins: user?.logins ?? null, channel });
 });
 
 app.get('/visitors/popular', (req, res) => {
   const { auth: a } = getSessionAuth(req, res);
   const limit = Math.min(Number(req.query.limit || 100), 1000);
   const offset = Math.max(0, Number(req.query.offset || 0));
-  const channel = String(req.query.channel || a.broadcasterLogin || '').toLowerCase();
+  const channel = channelFor(req, a);
+  const confidence = minConfidenceParam(req);
+  if (confidence.error) return res.status(400).json({ error: confidence.error });
+  const { minConfidence } = confidence;
+  const excludeBots = req.query.excludeBots === '1';
+  const { role, error } = roleParam(req);
+  if (error) return res.status(400).json({ error });
   if (!channel) return res.json({ items: [], total: 0, limit, offset, channel: null });
   res.json({
-    items: store.getPopularVisitors(channel, limit, offset),
-    total: store.countVisitors(channel),
+    items: store.getPopularVisitors(channel, limit, offset, { minConfidence, excludeBots, role }),
+    total: store.countVisitors(channel, { minConfidence, excludeBots, role }),
     limit,
     offset,
+    minConfidence,
+    excludeBots,
+    role,
+    channel
+  });
+});
+
+app.get('/bots', (req, res) => {
+  const limit = parseLimit(req.query.limit, 200, 1000);
+  res.json({ items: store.getBotFlags({ botsOnly: req.query.all !== '1', limit }), ...bots.stats() });
+});
+
+// Changing the watchlist and seeing webhooks needs a signed-in login that tracks the channel:
+// webhooks carry viewer data and make the server POST to their URL. Otherwise sends the
+// error and returns false.
+function allowWatchAccess(res, a, channel) {
+  if (!a.token) {
+    res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+    return false;
+  }
+  if (!a.channels.has(channel)) {
+    res.status(403).json({ error: channel ? `Not tracking ${channel}` : 'Missing channel' });
+    return false;
+  }
+  return true;
+}
+
+// The webhook, if it belongs to a channel this login tracks; global webhooks never do.
+function sessionWebhook(a, id) {
+  const webhook = store.getWebhook(id);
+  return webhook?.channel_login && a.channels.has(webhook.channel_login) ? webhook : null;
+}
+
+app.get('/watch/rules', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], channel: null });
+  res.json({ items: store.getWatchRules(channel), channel });
+});
+
+// Body: { kind: 'login' | 'broadcaster_type' | 'min_followers', value, label? }
+app.post('/watch/rules', express.json(), (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  if (!channel) return res.status(400).json({ error: 'Missing ?channel=<twitch_login>' });
+  if (!allowWatchAccess(res, a, channel)) return;
+  let rule;
+  try {
+    rule = parseWatchRule(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.json(store.addWatchRule({ ...rule, channel_login: channel }));
+});
+
+app.delete('/watch/rules/:id', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  if (!allowWatchAccess(res, a, channel)) return;
+  if (!store.deleteWatchRule(Number(req.params.id), channel)) return res.status(404).json({ error: 'Rule not found' });
+  res.json({ ok: true });
+});
+
+app.get('/watch/alerts', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const limit = parseLimit(req.query.limit, 100, 1000);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], channel: null });
+  res.json({ items: store.getWatchAlerts(channel, { since: parseTime(req.query.since), limit }), channel });
+});
+
+app.get('/watch/webhooks', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+  const channel = req.query.channel ? channelFor(req, a) : null;
+  if (channel && !allowWatchAccess(res, a, channel)) return;
+  const items = store.getWebhooks(channel).filter(w => w.channel_login && a.channels.has(w.channel_login));
+  res.json({ items });
+});
+
+// Body: { url, channel } -- the channel must be one this login tracks.
+app.post('/watch/webhooks', express.json(), (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+  const url = String(req.body?.url || '').trim();
+  if (!/^https?:\/\/[^\s]+$/i.test(url)) return res.status(400).json({ error: 'url must be an http(s) URL' });
+  const channelLogin = String(req.body?.channel || '').trim().toLowerCase();
+  if (!channelLogin) return res.status(400).json({ error: 'channel is required' });
+  if (!allowWatchAccess(res, a, channelLogin)) return;
+  res.json(store.addWebhook({ url, channelLogin }));
+});
+
+app.delete('/watch/webhooks/:id', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+  const webhook = sessionWebhook(a, Number(req.params.id));
+  if (!webhook || !store.deleteWebhook(webhook.id)) return res.status(404).json({ error: 'Webhook not found' });
+  res.json({ ok: true });
+});
+
+app.post('/watch/webhooks/:id/test', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+  const webhook = sessionWebhook(a, Number(req.params.id));
+  if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+  res.json({ deliveryId: watch.test(webhook) });
+});
+
+app.get('/watch/deliveries', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  if (!a.token) return res.status(401).json({ error: 'Not authed yet. Connect Twitch first.' });
+  const limit = parseLimit(req.query.limit, 100, 1000);
+  const status = ['pending', 'delivered', 'failed'].includes(req.query.status) ? req.query.status : null;
+  const channel = req.query.channel ? String(req.query.channel).trim().toLowerCase() : null;
+  if (channel && !allowWatchAccess(res, a, channel)) return;
+  res.json({ items: store.getDeliveries({ status, channelLogins: channel ? [channel] : [...a.channels], limit }) });
+});
+
+const OVERLAP_MAX_CHANNELS = 10;
+
+// Defaults to the channels this login tracks; any channel with stored sessions can be compared.
+app.get('/visitors/overlap', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const list = req.query.channels
+    ? String(req.query.channels).split(',').map(c => c.trim().toLowerCase()).filter(Boolean)
+    : [...a.channels];
+  const channelLogins = [...new Set(list)];
+  if (channelLogins.length < 2) return res.status(400).json({ error: 'Pass at least two channels: ?channels=a,b' });
+  if (channelLogins.length > OVERLAP_MAX_CHANNELS) {
+    return res.status(400).json({ error: `At most ${OVERLAP_MAX_CHANNELS} channels can be compared at once` });
+  }
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const limit = parseLimit(req.query.limit, 20, 200);
+  res.json({ ...store.getOverlap(channelLogins, { from, to, limit }), from, to });
+});
+
+// Declared after /visitors/popular and /visitors/overlap so those are not taken for a login.
+app.get('/visitors/:username', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const username = String(req.params.username).toLowerCase();
+  if (!/^\w{1,25}$/.test(username)) return res.status(400).json({ error: `Invalid login: ${req.params.username}` });
+  const channel = req.query.all === '1' ? null : channelFor(req, a);
+  // Minutes to subtract from UTC for the heatmap and day streaks, as returned by Date#getTimezoneOffset.
+  const tzOffsetMin = Math.max(-840, Math.min(840, Math.trunc(Number(req.query.tzOffset) || 0)));
+  const visitor = store.getVisitorProfile(username, { channelLogin: channel, tzOffsetMin });
+  if (!visitor) return res.status(404).json({ error: `No visits or profile for ${username}` });
+  res.json(visitor);
+});
+
+app.get('/streams', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const limit = parseLimit(req.query.limit, 50, 1000);
+  const offset = parseLimit(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], total: 0, limit, offset, channel: null });
+  res.json({
+    items: store.getStreams(channel, limit, offset),
+    total: store.countStreams(channel),
+    limit,
+    offset,
+    channel
+  });
+});
+
+app.get('/streams/:id/audience', (req, res) => {
+  const stream = store.getStream(String(req.params.id));
+  if (!stream) return res.status(404).json({ error: `Stream not found: ${req.params.id}` });
+  const limit = parseLimit(req.query.limit, 100, 1000);
+  const offset = parseLimit(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+  const minConfidence = Number(req.query.minConfidence || 0);
+  const opts = { minConfidence, streamId: stream.id };
+  res.json({
+    stream,
+    summary: store.getStreamSummary(stream.id),
+    items: store.getPopularVisitors(stream.channel_login, limit, offset, opts),
+    total: store.countVisitors(stream.channel_login, opts),
+    limit,
+    offset
+  });
+});
+
+const TIMELINE_MAX_BUCKETS = 2000;
+
+app.get('/stats/timeline', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], channel: null });
+  const to = parseTime(req.query.to) ?? Date.now();
+  let from = parseTime(req.query.from) ?? to - 86_400_000;
+  if (from >= to) return res.status(400).json({ error: '`from` must be before `to`' });
+
+  // bucket is in seconds; by default aim for ~200 points
+  const requested = Number(req.query.bucket || 0) * 1000;
+  const bucketMs = Math.max(requested || Math.ceil((to - from) / 200), Math.ceil((to - from) / TIMELINE_MAX_BUCKETS), 1000);
+  // Whole-day buckets start at UTC midnight so they can be answered from the daily rollups.
+  if (bucketMs % 86_400_000 === 0) from -= from % 86_400_000;
+  res.json({
+    items: store.getTimeline(channel, { from, to, bucketMs }),
+    outages: store.getOutages(channel, { from, to }),
+    from,
+    to,
+    bucketSec: bucketMs / 1000,
+    channel
+  });
+});
+
+// Current moderators, VIPs and subscribers with recent grants and removals.
+app.get('/roles', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  const { role, error } = roleParam(req);
+  if (error || role === 'none') return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  if (!channel) return res.json({ items: [], history: [], channel: null });
+  const limit = parseLimit(req.query.limit, 1000, 10000);
+  res.json({
+    items: store.getRoleHolders(channel, { role, limit }),
+    history: store.getRoleHistory(channel, { since: parseTime(req.query.since), limit: 100 }),
+    sync: roles.status(channel),
+    role,
     channel
   });
 });
 
+const CONVERSION_GROUPS = ['stream', 'day'];
+
+app.get('/stats/conversion', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], channel: null });
+  const by = req.query.by ? String(req.query.by) : 'stream';
+  if (!CONVERSION_GROUPS.includes(by)) return res.status(400).json({ error: `by must be one of ${CONVERSION_GROUPS.join(', ')}` });
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const limit = parseLimit(req.query.limit, 100, 1000);
+  res.json({ items: store.getConversion(channel, { by, from, to, limit }), by, from, to, followers: followers.status(channel), channel });
+});
+
+app.get('/stats/daily', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], channel: null });
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  res.json({ items: store.getDailyStats(channel, { from, to }), from, to, retentionDays: eventRetentionDays || null, channel });
+});
+
+app.get('/state/at', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const channel = channelFor(req, a);
+  const ts = parseTime(req.query.ts);
+  if (!channel) return res.json({ items: [], channel: null });
+  if (ts == null) return res.status(400).json({ error: 'Missing ?ts=<epoch ms or ISO date>' });
+  const items = store.getPresentAt(channel, ts);
+  const [outage = null] = store.getOutages(channel, { from: ts, to: ts + 1, limit: 1 });
+  res.json({ ts, onlineCount: items.length, items, outage, channel });
+});
+
+app.get('/outages', (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const limit = parseLimit(req.query.limit, 100, 1000);
+  const channel = channelFor(req, a);
+  if (!channel) return res.json({ items: [], channel: null });
+  res.json({
+    items: store.getOutages(channel, { from: parseTime(req.query.from), to: parseTime(req.query.to), limit }),
+    lastSuccessfulPollAt: store.getLastPollAt(channel),
+    channel
+  });
+});
+
+// e.g. /export/sessions.csv?channel=&from=&to=&username=
+app.get('/export/:file', async (req, res) => {
+  const { auth: a } = getSessionAuth(req, res);
+  const [dataset, format] = String(req.params.file).split('.');
+  if (!EXPORT_DATASETS.includes(dataset) || !EXPORT_FORMATS[format]) {
+    return res.status(404).json({ error: `Unknown export: ${req.params.file}` });
+  }
+  const channel = channelFor(req, a);
+  if (!channel) return res.status(400).json({ error: 'Missing ?channel=<twitch_login>' });
+
+  const filters = {
+    channelLogin: channel,
+    from: parseTime(req.query.from),
+    to: parseTime(req.query.to),
+    user: req.query.username ? store.resolveUser(String(req.query.username).toLowerCase()) : null
+  };
+  res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${channel}-${dataset}.${format}"`);
+  try {
+    await streamExport(res, { store, dataset, format, filters });
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ error: e?.message || String(e) });
+    else res.destroy(e);
+  }
+});
+
+// Channels an account asked for, as Helix users; unknown ones are logged and skipped.
+async function resolveBroadcasters(a, acc, log) {
+  const lookups = [
+    ...acc.channels.map(login => ['login', login, () => fetchUserByLogin({ clientId: staticCfg.clientId, userAccessToken: a.token, login })]),
+    ...acc.broadcasterIds.map(id => ['id', id, () => fetchUserById({ clientId: staticCfg.clientId, userAccessToken: a.token, id })])
+  ];
+  const out = [];
+  for (const [kind, value, lookup] of lookups) {
+    // eslint-disable-next-line no-await-in-loop
+    const user = await lookup();
+    if (user) out.push(user);
+    else log(`channel ${kind} not found: ${value}`);
+  }
+  return out;
+}
+
+// Stores a freshly refreshed token pair on the headless session at once: the old refresh
+// token no longer works, so losing the new one would lock the account out.
+function keepRefreshedTokens(sid, seed, { token, refreshToken }) {
+  if (!sessions.has(sid)) sessions.set(sid, newSessionAuth());
+  Object.assign(sessions.get(sid), { token, refreshToken, tokenExpiresAt: null, daemonSeed: seed });
+  persistAuth();
+}
+
+function dropDaemon(sid) {
+  const prev = sessions.get(sid);
+  if (!prev) return;
+  sessions.delete(sid);
+  releaseSession(prev.channels);
+}
+
+// A configured account; resolves to whether it is polling.
+async function startConfiguredAccount(acc) {
+  const sid = daemonSid(acc.name);
+  const log = (msg) => console.log(`[daemon:${acc.name}] ${msg}`);
+  const seed = credentialSeed(acc);
+  const prev = sessions.get(sid);
+  // Tokens refreshed by an earlier run are used until the configured credentials change.
+  const creds = prev?.daemonSeed === seed && prev.token ? { accessToken: prev.token, refreshToken: prev.refreshToken } : acc;
+  const checked = await checkCredentials({
+    clientId: staticCfg.clientId,
+    clientSecret: staticCfg.clientSecret,
+    ...creds,
+    moderatorId: acc.moderatorId,
+    onRefresh: (tokens) => keepRefreshedTokens(sid, seed, tokens)
+  });
+  const a = Object.assign(newSessionAuth(), checked, { daemonSeed: seed });
+  const broadcasters = await resolveBroadcasters(a, acc, log);
+  const before = [...(sessions.get(sid)?.channels || [])];
+  sessions.set(sid, a);
+  for (const b of broadcasters) addChannel(a, b);
+  releaseSession(before);
+  restartChatsFor(sid);
+  if (!broadcasters.length) {
+    log('none of its channels were found');
+    return false;
+  }
+  log(`polling ${[...a.channels].join(', ')} as ${a.meLogin}`);
+  return true;
+}
+
+// An account saved by `npm run device-login`; resolves to whether it is polling.
+async function startSavedAccount(sid) {
+  const a = sessions.get(sid);
+  if (!a) return false;
+  const name = sid.slice(DAEMON_SID_PREFIX.length);
+  Object.assign(a, await checkCredentials({
+    clientId: staticCfg.clientId,
+    clientSecret: staticCfg.clientSecret,
+    accessToken: a.token,
+    refreshToken: a.refreshToken,
+    onRefresh: (tokens) => keepRefreshedTokens(sid, a.daemonSeed, tokens)
+  }));
+  if (!a.channels.size) {
+    console.log(`[daemon:${name}] no channels`);
+    return false;
+  }
+  console.log(`[daemon:${name}] polling ${[...a.channels].join(', ')} as ${a.meLogin}`);
+  return true;
+}
+
+// Headless accounts that are not polling are retried every 30 seconds, doubling up to 15 minutes.
+const accountStarter = createAccountStarter({
+  onResult: afterDaemonCheck,
+  log: (msg) => console.error(msg),
+  baseBackoffMs: 30_000,
+  maxBackoffMs: 15 * 60_000
+});
+
+// Refused credentials are dropped from .auth.json: a configured account is retried with the
+// tokens from its configuration, a device login waits for `npm run device-login` to replace it.
+function startConfigured(acc) {
+  const sid = daemonSid(acc.name);
+  return accountStarter.start(acc.name, () => startConfiguredAccount(acc), {
+    onFailure: (err) => {
+      if (isAuthFailure(err)) dropDaemon(sid);
+      return true;
+    }
+  });
+}
+
+function startSaved(sid) {
+  return accountStarter.start(sid.slice(DAEMON_SID_PREFIX.length), () => startSavedAccount(sid), {
+    onFailure: (err) => {
+      if (!isAuthFailure(err)) return true;
+      dropDaemon(sid);
+      return false;
+    }
+  });
+}
+
+// For checks finished after start-up: save the outcome and poll right away if it started.
+function afterDaemonCheck(result) {
+  persistAuth();
+  if (result === 'started') tickAll().catch(() => {});
+}
+
+// Names given in TRACKER_CONFIG / the environment; device logins cannot take them over.
+const configuredDaemonSids = new Set();
+
+// Moves accounts saved by `npm run device-login` from the pending file into the sessions,
+// replacing an earlier device login of the same name. Returns the adopted session ids.
+function adoptPendingAccounts() {
+  const pending = authStore.takePending();
+  if (!pending) return [];
+  const adopted = [];
+  for (const [sid, entry] of Object.entries(pending)) {
+    if (!sid.startsWith(DAEMON_SID_PREFIX)) continue;
+    if (configuredDaemonSids.has(sid)) {
+      console.warn(`[daemon:${sid.slice(DAEMON_SID_PREFIX.length)}] ignoring a device login: a configured account has that name`);
+      continue;
+    }
+    dropDaemon(sid);
+    restoreSession(sid, entry);
+    adopted.push(sid);
+  }
+  persistAuth();
+  return adopted;
+}
+
+// Device logins made while the tracker runs start polling without a restart.
+function checkPendingAccounts() {
+  if (!staticCfg.clientId) return;
+  for (const sid of adoptPendingAccounts()) startSaved(sid).then(afterDaemonCheck);
+}
+
+// Headless accounts from TRACKER_CONFIG / TWITCH_USER_ACCESS_TOKEN, plus those saved by
+// `npm run device-login`. Each token is checked with Twitch before its channels are tracked.
+// Accounts that fail are logged and retried (see accountStarter); the dashboard and browser
+// sign-ins keep running either way.
+async function startDaemon() {
+  const accounts = readDaemonConfig({ file: process.env.TRACKER_CONFIG || null });
+  for (const acc of accounts) configuredDaemonSids.add(daemonSid(acc.name));
+  if (staticCfg.clientId) adoptPendingAccounts();
+  const saved = [...sessions.keys()].filter(sid => sid.startsWith(DAEMON_SID_PREFIX) && !configuredDaemonSids.has(sid));
+  if (!accounts.length && !saved.length) return;
+  if (!staticCfg.clientId) throw new Error('Headless accounts need TWITCH_CLIENT_ID');
+
+  const results = [];
+  for (const acc of accounts) {
+    // eslint-disable-next-line no-await-in-loop
+    results.push(await startConfigured(acc));
+  }
+  for (const sid of saved) {
+    // eslint-disable-next-line no-await-in-loop
+    results.push(await startSaved(sid));
+  }
+
+  persistAuth();
+  if (results.includes('started')) tickAll().catch(() => {});
+  else console.warn('[daemon] no headless account is polling yet');
+}
+
+startDaemon().catch((err) => {
+  console.error(`[daemon] ${err.message}; no headless accounts started`);
+});
+setInterval(checkPendingAccounts, 5000);
+
 const publicDir = path.resolve(process.cwd(), 'public');
 app.use(express.static(publicDir));
 
@@ -0,0 +1,173 @@
+import WebSocket from 'ws';
+
+export const TWITCH_IRC_URL = 'wss://irc-ws.chat.twitch.tv:443';
+
+// Parses one IRC line (with optional IRCv3 tags) into { tags, prefix, nick, command, params }.
+export function parseIrcLine(line) {
+  let rest = line;
+  const tags = {};
+  if (rest.startsWith('@')) {
+    const sp = rest.indexOf(' ');
+    for (const kv of rest.slice(1, sp).split(';')) {
+      const i = kv.indexOf('=');
+      if (i < 0) tags[kv] = '';
+      else tags[kv.slice(0, i)] = kv.slice(i + 1);
+    }
+    rest = rest.slice(sp + 1);
+  }
+
+  let prefix = null;
+  if (rest.startsWith(':')) {
+    const sp = rest.indexOf(' ');
+    prefix = rest.slice(1, sp);
+    rest = rest.slice(sp + 1);
+  }
+
+  const params = [];
+  while (rest.length) {
+    if (rest.startsWith(':')) {
+      params.push(rest.slice(1));
+      break;
+    }
+    const sp = rest.indexOf(' ');
+    if (sp < 0) {
+      params.push(rest);
+      break;
+    }
+    params.push(rest.slice(0, sp));
+    rest = rest.slice(sp + 1);
+  }
+
+  const command = params.shift() || '';
+  const nick = prefix && prefix.includes('!') ? prefix.slice(0, prefix.indexOf('!')).toLowerCase() : null;
+  return { tags, prefix, nick, command, params };
+}
+
+// One authenticated chat connection for a single channel. `getToken` is read on every
+// (re)connect so refreshed OAuth tokens are picked up without rebuilding the client.
+// Reconnects wait `baseBackoffMs`, doubling up to `maxBackoffMs` until a login succeeds;
+// `setTimer`/`clearTimer` schedule those waits (tests pass their own to skip real sleeps).
+export function createChatClient({
+  url = TWITCH_IRC_URL,
+  channelLogin,
+  login,
+  getToken,
+  onJoin = () => {},
+  onPart = () => {},
+  onMessage = () => {},
+  log = () => {},
+  baseBackoffMs = 1000,
+  maxBackoffMs = 60_000,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+}) {
+  let ws = null;
+  let stopped = false;
+  let backoffMs = baseBackoffMs;
+  let reconnectTimer = null;
+  const state = { connected: false, joined: false, lastError: null, messages: 0, connectedAt: null };
+
+  function send(line) {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(line);
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    reconnectTimer = setTimer(() => {
+      reconnectTimer = null;
+      connect();
+    }, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, maxBackoffMs);
+  }
+
+  function handle(line) {
+    const msg = parseIrcLine(line);
+    const ts = Date.now();
+    const chan = (msg.params[0] || '').replace(/^#/, '').toLowerCase();
+
+    switch (msg.command) {
+      case 'PING':
+        send(`PONG :${msg.params[0] || 'tmi.twitch.tv'}`);
+        break;
+      case 'RECONNECT':
+        ws?.close();
+        break;
+      case '001':
+        backoffMs = baseBackoffMs;
+        state.lastError = null;
+        send(`JOIN #${channelLogin}`);
+        break;
+      case 'NOTICE':
+        if (/authentication failed|improperly formatted auth/i.test(msg.params[1] || '')) {
+          state.lastError = msg.params[1];
+          log(`[irc:${channelLogin}] ${msg.params[1]}`);
+        }
+        break;
+      case 'JOIN':
+        if (chan !== channelLogin || !msg.nick) break;
+        if (msg.nick === login) state.joined = true;
+        else onJoin(msg.nick, ts);
+        break;
+      case 'PART':
+        if (chan !== channelLogin || !msg.nick) break;
+        if (msg.nick === login) state.joined = false;
+        else onPart(msg.nick, ts);
+        break;
+      case 'PRIVMSG':
+        if (chan !== channelLogin || !msg.nick) break;
+        state.messages += 1;
+        onMessage(msg.nick, ts, { text: msg.params[1] || '', tags: msg.tags });
+        break;
+      default:
+        break;
+    }
+  }
+
+  function connect() {
+    if (stopped) return;
+    const token = getToken();
+    if (!token) {
+      state.lastError = 'No OAuth token for chat';
+      scheduleReconnect();
+      return;
+    }
+
+    ws = new WebSocket(url);
+    ws.on('open', () => {
+      state.connected = true;
+      state.connectedAt = Date.now();
+      send('CAP REQ :twitch.tv/membership twitch.tv/tags twitch.tv/commands');
+      send(`PASS oauth:${token}`);
+      send(`NICK ${login}`);
+    });
+    ws.on('message', (data) => {
+      for (const line of String(data).split('\r\n')) if (line) handle(line);
+    });
+    ws.on('error', (err) => {
+      state.lastError = err?.message || String(err);
+    });
+    ws.on('close', () => {
+      state.connected = false;
+      state.joined = false;
+      ws = null;
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    channelLogin,
+    start() {
+      stopped = false;
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearTimer(reconnectTimer);
+      reconnectTimer = null;
+      ws?.close();
+    },
+    stats() {
+      return { ...state };
+    }
+  };
+}
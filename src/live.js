@@ -0,0 +1,59 @@
+// Server-Sent Events fan-out, one subscriber list per channel.
+// Join/leave messages carry `id: <events.id>` so EventSource reconnects resume
+// from Last-Event-ID; other message types are sent without an id.
+
+export function createLiveFeed({ heartbeatMs = 25000 } = {}) {
+  const subscribers = new Map(); // channel_login -> Set<res>
+
+  function format(type, data, id) {
+    const lines = [];
+    if (id != null) lines.push(`id: ${id}`);
+    lines.push(`event: ${type}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  function subscribe(channelLogin, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    if (!subscribers.has(channelLogin)) subscribers.set(channelLogin, new Set());
+    const subs = subscribers.get(channelLogin);
+    subs.add(res);
+
+    const hb = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    req.on('close', () => {
+      clearInterval(hb);
+      subs.delete(res);
+      if (!subs.size) subscribers.delete(channelLogin);
+    });
+
+    return {
+      send(type, data, id) {
+        res.write(format(type, data, id));
+      }
+    };
+  }
+
+  function publish(channelLogin, type, data, id) {
+    const subs = subscribers.get(channelLogin);
+    if (!subs) return;
+    const msg = format(type, data, id);
+    for (const res of subs) res.write(msg);
+  }
+
+  return {
+    subscribe,
+    publish,
+    stats() {
+      let clients = 0;
+      for (const subs of subscribers.values()) clients += subs.size;
+      return { channels: subscribers.size, clients };
+    }
+  };
+}
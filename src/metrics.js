@@ -0,0 +1,28 @@
+// Prometheus text exposition format (version 0.0.4).
+// A family is { name, help, type: 'gauge' | 'counter' | 'summary', samples: [{ labels, value, suffix? }] };
+// `suffix` is appended to the name, for a summary's `_sum` and `_count`.
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+export function formatMetrics(families) {
+  const lines = [];
+  for (const f of families) {
+    lines.push(`# HELP ${f.name} ${f.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${f.name} ${f.type}`);
+    for (const s of f.samples) {
+      if (s.value == null) continue;
+      const labels = Object.entries(s.labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+      lines.push(`${f.name}${s.suffix || ''}${labels.length ? `{${labels.join(',')}}` : ''} ${formatValue(Number(s.value))}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
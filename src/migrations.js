@@ -0,0 +1,465 @@
+import fs from 'node:fs';
+import { UPSERT_ROLLUP_SQL, rollupRows } from './rollups.js';
+
+// Numbered schema migrations. Each one runs in its own transaction and is recorded in
+// schema_version; append new ones at the end and never renumber. Migrations 1-11 are
+// written to be idempotent because databases from before schema_version existed are
+// upgraded from version 0 whatever ad-hoc state they are in.
+
+function hasColumn(db, table, column) {
+  const rows = db.prepare(`PRAGMA table_info(${table})`).all();
+  return rows.some(r => r.name === column);
+}
+
+function hasTable(db, table) {
+  return !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL,
+          event_type TEXT NOT NULL CHECK(event_type IN ('join','leave')),
+          ts INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL,
+          joined_at INTEGER NOT NULL,
+          left_at INTEGER,
+          duration_sec INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS users (
+          username TEXT PRIMARY KEY,
+          user_id TEXT,
+          display_name TEXT,
+          broadcaster_type TEXT,
+          follower_count INTEGER,
+          profile_image_url TEXT,
+          updated_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_events_ts ON events(ts DESC);
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(username);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'map entries to a specific channel',
+    up(db) {
+      if (!hasColumn(db, 'events', 'channel_login')) db.exec(`ALTER TABLE events ADD COLUMN channel_login TEXT`);
+      if (!hasColumn(db, 'sessions', 'channel_login')) db.exec(`ALTER TABLE sessions ADD COLUMN channel_login TEXT`);
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_events_channel_ts ON events(channel_login, ts DESC);
+        CREATE INDEX IF NOT EXISTS idx_sessions_channel_user ON sessions(channel_login, username);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'presence-confidence counters per session',
+    up(db) {
+      if (!hasColumn(db, 'sessions', 'confidence')) {
+        db.exec(`
+          ALTER TABLE sessions ADD COLUMN polls_seen INTEGER;
+          ALTER TABLE sessions ADD COLUMN gap_count INTEGER;
+          ALTER TABLE sessions ADD COLUMN missed_polls INTEGER;
+          ALTER TABLE sessions ADD COLUMN confidence REAL;
+        `);
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'tie events and sessions to the broadcast they happened in (NULL = off-air)',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS streams (
+          id TEXT PRIMARY KEY,
+          channel_login TEXT NOT NULL,
+          title TEXT,
+          category TEXT,
+          started_at INTEGER NOT NULL,
+          ended_at INTEGER,
+          peak_viewers INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_streams_channel_started ON streams(channel_login, started_at DESC);
+      `);
+      if (!hasColumn(db, 'events', 'stream_id')) db.exec(`ALTER TABLE events ADD COLUMN stream_id TEXT`);
+      if (!hasColumn(db, 'sessions', 'stream_id')) db.exec(`ALTER TABLE sessions ADD COLUMN stream_id TEXT`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_stream ON sessions(stream_id, username)`);
+    }
+  },
+  {
+    version: 5,
+    name: 'chat activity per session (from IRC PRIVMSG)',
+    up(db) {
+      if (!hasColumn(db, 'sessions', 'message_count')) {
+        db.exec(`
+          ALTER TABLE sessions ADD COLUMN message_count INTEGER NOT NULL DEFAULT 0;
+          ALTER TABLE sessions ADD COLUMN first_message_at INTEGER;
+          ALTER TABLE sessions ADD COLUMN last_message_at INTEGER;
+        `);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_channel_joined ON sessions(channel_login, joined_at)`);
+    }
+  },
+  {
+    // The queue survives restarts; failed logins back off via next_attempt_at, and the
+    // channel that queued a job lends its token.
+    version: 6,
+    name: 'enrichment queue',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS enrich_queue (
+          username TEXT PRIMARY KEY,
+          queued_at INTEGER NOT NULL,
+          next_attempt_at INTEGER NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_attempt_at INTEGER,
+          last_error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_enrich_queue_next ON enrich_queue(next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_users_updated ON users(updated_at);
+      `);
+      if (!hasColumn(db, 'enrich_queue', 'channel_login')) db.exec(`ALTER TABLE enrich_queue ADD COLUMN channel_login TEXT`);
+    }
+  },
+  {
+    version: 7,
+    name: 'last successful poll per channel, and the outages found at restart',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS channel_state (
+          channel_login TEXT PRIMARY KEY,
+          last_poll_at INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS outages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_login TEXT NOT NULL,
+          started_at INTEGER NOT NULL,
+          ended_at INTEGER,
+          sessions_closed INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_outages_channel_started ON outages(channel_login, started_at DESC);
+      `);
+      if (!hasColumn(db, 'sessions', 'truncated')) db.exec(`ALTER TABLE sessions ADD COLUMN truncated INTEGER NOT NULL DEFAULT 0`);
+    }
+  },
+  {
+    // Viewers are keyed on their Twitch user id so a rename does not split history.
+    // user_logins keeps every login seen for an id; existing rows get ids from known profiles.
+    version: 8,
+    name: 'key viewers on their Twitch user id',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS user_logins (
+          user_id TEXT NOT NULL,
+          login TEXT NOT NULL,
+          first_seen_at INTEGER NOT NULL,
+          last_seen_at INTEGER NOT NULL,
+          PRIMARY KEY (user_id, login)
+        );
+        CREATE INDEX IF NOT EXISTS idx_user_logins_login ON user_logins(login, last_seen_at DESC);
+      `);
+      if (!hasColumn(db, 'sessions', 'user_id')) {
+        db.exec(`
+          ALTER TABLE events ADD COLUMN user_id TEXT;
+          ALTER TABLE sessions ADD COLUMN user_id TEXT;
+          INSERT OR IGNORE INTO user_logins (user_id, login, first_seen_at, last_seen_at)
+          SELECT u.user_id, u.username,
+            COALESCE((SELECT MIN(s.joined_at) FROM sessions s WHERE s.username = u.username), u.updated_at, 0),
+            COALESCE((SELECT MAX(s.joined_at) FROM sessions s WHERE s.username = u.username), u.updated_at, 0)
+          FROM users u WHERE u.user_id IS NOT NULL;
+          UPDATE sessions SET user_id = (SELECT u.user_id FROM users u WHERE u.username = sessions.username);
+          UPDATE events SET user_id = (SELECT u.user_id FROM users u WHERE u.username = events.username);
+          -- A renamed viewer may have been enriched under both logins; keep the newest profile.
+          DELETE FROM users WHERE user_id IS NOT NULL AND rowid <> (
+            SELECT u2.rowid FROM users u2 WHERE u2.user_id = users.user_id ORDER BY u2.updated_at DESC, u2.rowid DESC LIMIT 1
+          );
+        `);
+      }
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sessions_channel_user_id ON sessions(channel_login, user_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);
+      `);
+    }
+  },
+  {
+    // Raw chatter polls (gzipped JSON), kept only when snapshot recording is on; see snapshots.js.
+    version: 9,
+    name: 'chatter snapshots',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_login TEXT NOT NULL,
+          ts INTEGER NOT NULL,
+          stream_id TEXT,
+          chatter_count INTEGER NOT NULL,
+          data BLOB NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_snapshots_channel_ts ON snapshots(channel_login, ts);
+      `);
+    }
+  },
+  {
+    // 'auto' rows come from the classifier (bots.js), 'allow'/'deny' from config.
+    version: 10,
+    name: 'bot and service-account flags',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS bot_flags (
+          username TEXT PRIMARY KEY,
+          user_id TEXT,
+          is_bot INTEGER NOT NULL,
+          score REAL,
+          reasons TEXT,
+          source TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_bot_flags_user_id ON bot_flags(user_id);
+      `);
+    }
+  },
+  {
+    // Rules per channel, webhook targets (channel NULL = every channel), one alert per
+    // matched visit, and a persisted delivery queue that doubles as the delivery log.
+    version: 11,
+    name: 'watchlist and webhooks',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS watch_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_login TEXT NOT NULL,
+          kind TEXT NOT NULL CHECK(kind IN ('login','broadcaster_type','min_followers')),
+          value TEXT NOT NULL,
+          label TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_watch_rules_channel ON watch_rules(channel_login);
+        CREATE TABLE IF NOT EXISTS webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_login TEXT,
+          url TEXT NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS watch_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_login TEXT NOT NULL,
+          username TEXT NOT NULL,
+          user_id TEXT,
+          session_id INTEGER NOT NULL,
+          event_id INTEGER,
+          ts INTEGER NOT NULL,
+          rules TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          UNIQUE(channel_login, session_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_watch_alerts_channel_ts ON watch_alerts(channel_login, ts DESC);
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id INTEGER,
+          webhook_id INTEGER,
+          url TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','delivered','failed')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at INTEGER NOT NULL,
+          last_attempt_at INTEGER,
+          response_status INTEGER,
+          last_error TEXT,
+          created_at INTEGER NOT NULL,
+          delivered_at INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      `);
+    }
+  },
+  {
+    // Rows written before channel_login existed are invisible to every channel-scoped query.
+    // They are given to `legacyChannel`; with such rows and no channel configured, the upgrade stops.
+    version: 12,
+    name: 'assign legacy rows without a channel',
+    // Without LEGACY_CHANNEL_LOGIN the rows go to the only channel the database and the saved
+    // logins (`knownChannels`) mention; with none or several the upgrade stops and says so.
+    up(db, { legacyChannel, knownChannels, log }) {
+      const orphans = db.prepare(`
+        SELECT (SELECT COUNT(*) FROM events WHERE channel_login IS NULL) + (SELECT COUNT(*) FROM sessions WHERE channel_login IS NULL) AS c
+      `).get().c;
+      if (!orphans) return;
+      let channel = legacyChannel;
+      if (!channel) {
+        const seen = db.prepare(`
+          SELECT channel_login FROM events WHERE channel_login IS NOT NULL
+          UNION SELECT channel_login FROM sessions WHERE channel_login IS NOT NULL
+        `).all().map(r => r.channel_login);
+        const candidates = [...new Set([...seen, ...knownChannels])].sort();
+        if (candidates.length !== 1) {
+          const why = candidates.length ? `they could belong to any of ${candidates.join(', ')}` : 'no tracked channel is known';
+          throw new Error(`${orphans} events/sessions have no channel and ${why}. Set LEGACY_CHANNEL_LOGIN in .env (see .env.example) to the Twitch login of the channel they were recorded for, e.g. LEGACY_CHANNEL_LOGIN=${candidates[0] || 'yourchannel'}, and start again`);
+        }
+        [channel] = candidates;
+        log(`[db] assigning ${orphans} events/sessions without a channel to ${channel}, the only tracked channel`);
+      }
+      db.prepare(`UPDATE events SET channel_login = ? WHERE channel_login IS NULL`).run(channel);
+      db.prepare(`UPDATE sessions SET channel_login = ? WHERE channel_login IS NULL`).run(channel);
+    }
+  },
+  {
+    // See rollups.js. Databases that already have the table were kept up to date by the store.
+    version: 13,
+    name: 'daily rollups',
+    up(db) {
+      const backfill = !hasTable(db, 'daily_rollups');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS daily_rollups (
+          channel_login TEXT NOT NULL,
+          day INTEGER NOT NULL,
+          viewer TEXT NOT NULL,
+          user_id TEXT,
+          username TEXT NOT NULL,
+          visits INTEGER NOT NULL DEFAULT 0,
+          active_visits INTEGER NOT NULL DEFAULT 0,
+          watch_sec INTEGER NOT NULL DEFAULT 0,
+          messages INTEGER NOT NULL DEFAULT 0,
+          confidence_sum REAL NOT NULL DEFAULT 0,
+          confidence_count INTEGER NOT NULL DEFAULT 0,
+          first_joined_at INTEGER NOT NULL,
+          last_joined_at INTEGER NOT NULL,
+          PRIMARY KEY (channel_login, day, viewer)
+        );
+        CREATE INDEX IF NOT EXISTS idx_daily_rollups_channel_user ON daily_rollups(channel_login, user_id);
+        CREATE INDEX IF NOT EXISTS idx_daily_rollups_viewer ON daily_rollups(viewer);
+      `);
+      if (!backfill) return;
+      const upsert = db.prepare(UPSERT_ROLLUP_SQL);
+      const page = db.prepare(`SELECT * FROM sessions WHERE id > ? AND left_at IS NOT NULL ORDER BY id LIMIT 5000`);
+      let rows = page.all(0);
+      while (rows.length) {
+        for (const row of rows) for (const r of rollupRows(row, row.left_at)) upsert.run(r);
+        rows = page.all(rows[rows.length - 1].id);
+      }
+    }
+  },
+  {
+    // Visitor profiles look a viewer up across every channel.
+    version: 14,
+    name: 'sessions by user id',
+    up(db) {
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+    }
+  },
+  {
+    // Each channel's followers from Helix. last_seen_at is the last sync that returned the
+    // follow; a full sync that no longer returns it sets unfollowed_at.
+    version: 15,
+    name: 'channel followers',
+    up(db) {
+      db.exec(`
+        CREATE TABLE follows (
+          channel_login TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          login TEXT NOT NULL,
+          followed_at INTEGER NOT NULL,
+          last_seen_at INTEGER NOT NULL,
+          unfollowed_at INTEGER,
+          PRIMARY KEY (channel_login, user_id)
+        );
+        CREATE INDEX idx_follows_channel_login ON follows(channel_login, login);
+        CREATE INDEX idx_follows_channel_followed ON follows(channel_login, followed_at);
+        ALTER TABLE channel_state ADD COLUMN followers_synced_at INTEGER;
+        ALTER TABLE channel_state ADD COLUMN followers_full_synced_at INTEGER;
+        ALTER TABLE channel_state ADD COLUMN follower_total INTEGER;
+      `);
+    }
+  },
+  {
+    // Moderators, VIPs and subscribers per channel. channel_roles holds who has each role now
+    // (since = first sync that saw it), role_history every grant, removal and tier change,
+    // and role_sync when each list was last read in full.
+    version: 16,
+    name: 'channel roles',
+    up(db) {
+      db.exec(`
+        CREATE TABLE channel_roles (
+          channel_login TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          login TEXT NOT NULL,
+          role TEXT NOT NULL,
+          tier TEXT,
+          since INTEGER NOT NULL,
+          checked_at INTEGER NOT NULL,
+          PRIMARY KEY (channel_login, user_id, role)
+        );
+        CREATE INDEX idx_channel_roles_user ON channel_roles(user_id);
+        CREATE TABLE role_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_login TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          login TEXT NOT NULL,
+          role TEXT NOT NULL,
+          change TEXT NOT NULL,
+          tier TEXT,
+          prev_tier TEXT,
+          ts INTEGER NOT NULL
+        );
+        CREATE INDEX idx_role_history_channel ON role_history(channel_login, ts);
+        CREATE INDEX idx_role_history_user ON role_history(user_id, ts);
+        CREATE TABLE role_sync (
+          channel_login TEXT NOT NULL,
+          role TEXT NOT NULL,
+          synced_at INTEGER NOT NULL,
+          holders INTEGER NOT NULL,
+          PRIMARY KEY (channel_login, role)
+        );
+      `);
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Brings `db` up to SCHEMA_VERSION. An existing database is copied to
+// `<path>.v<old>-<timestamp>.bak` first; a database from a newer tracker is refused.
+export function migrate(db, { path, legacyChannel = null, knownChannels = [], log = () => {} } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+  const current = db.prepare(`SELECT COALESCE(MAX(version), 0) AS v FROM schema_version`).get().v;
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Database ${path} is at schema v${current}, newer than this tracker (v${SCHEMA_VERSION}); upgrade the tracker`);
+  }
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (!pending.length) return { from: current, to: current, backup: null };
+
+  let backup = null;
+  if (path && path !== ':memory:' && hasTable(db, 'events')) {
+    backup = `${path}.v${current}-${Date.now()}.bak`;
+    if (fs.existsSync(backup)) throw new Error(`Backup ${backup} already exists`);
+    db.prepare('VACUUM INTO ?').run(backup);
+    log(`[db] backed up schema v${current} to ${backup}`);
+  }
+
+  const record = db.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`);
+  for (const m of pending) {
+    db.transaction(() => {
+      m.up(db, { legacyChannel, knownChannels, log });
+      record.run(m.version, m.name, Date.now());
+    })();
+    log(`[db] applied migration ${m.version}: ${m.name}`);
+  }
+  return { from: current, to: SCHEMA_VERSION, backup };
+}
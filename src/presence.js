@@ -0,0 +1,151 @@
+// Turns consecutive chatter snapshots into join/leave events for one channel.
+// A chatter that drops out of a poll is held in a grace window before the leave
+// is recorded; coming back inside the window keeps the original session open.
+// Sessions are split when a user is seen under a different broadcast than the one
+// their session started in, so each session row belongs to a single stream.
+// Snapshots may be a Set of logins or a Map of login -> Twitch user id; the id is
+// stored with the session so a later rename does not split the viewer's history.
+
+export function sessionConfidence({ pollsSeen = 0, missedPolls = 0 }) {
+  if (pollsSeen <= 0) return 0;
+  // More polls -> more certain the user was really there; polls missed inside
+  // the session (gaps that were bridged by the grace window) lower it again.
+  const seen = 1 - 1 / (1 + pollsSeen);
+  const steady = pollsSeen / (pollsSeen + missedPolls);
+  return Math.round(seen * steady * 1000) / 1000;
+}
+
+export function createPresence({ store, channelLogin, gracePolls = 2, graceMs = 0 }) {
+  const polls = Math.max(0, Number(gracePolls) || 0);
+  const ms = Math.max(0, Number(graceMs) || 0);
+  // username -> { userId, streamId, pollsSeen, gapCount, missedPolls, missingSince, missedNow }
+  const open = new Map();
+
+  for (const row of store.getOpenSessions(channelLogin)) {
+    open.set(row.username.toLowerCase(), {
+      userId: row.user_id || null,
+      streamId: row.stream_id || null,
+      pollsSeen: row.polls_seen || 0,
+      gapCount: row.gap_count || 0,
+      missedPolls: row.missed_polls || 0,
+      missingSince: null,
+      missedNow: 0
+    });
+  }
+
+  function graceExpired(s, ts) {
+    if (polls === 0 && ms === 0) return true;
+    if (polls > 0 && s.missedNow >= polls) return true;
+    if (ms > 0 && ts - s.missingSince >= ms) return true;
+    return false;
+  }
+
+  function observe(next, ts, { streamId = null } = {}) {
+    const joined = [];
+    const left = [];
+    const returned = [];
+    const moved = [];
+    const events = [];
+
+    const ids = next instanceof Map ? next : null;
+    for (const u of next.keys()) {
+      const userId = ids?.get(u) || null;
+      const s = open.get(u);
+      if (!s) {
+        open.set(u, { userId, streamId, pollsSeen: 1, gapCount: 0, missedPolls: 0, missingSince: null, missedNow: 0 });
+        events.push(store.eventJoin(u, ts, channelLogin, streamId, userId));
+        joined.push(u);
+        continue;
+      }
+      if (s.missingSince != null) {
+        // A chat PART starts the grace window without a missed poll; that is not a gap.
+        if (s.missedNow > 0) {
+          s.gapCount += 1;
+          s.missedPolls += s.missedNow;
+          returned.push(u);
+        }
+        s.missingSince = null;
+        s.missedNow = 0;
+      }
+      if (s.streamId !== streamId) {
+        s.streamId = streamId;
+        moved.push(u);
+      }
+      if (userId) s.userId = userId;
+      s.pollsSeen += 1;
+    }
+    store.splitSessions(channelLogin, moved, ts, streamId);
+
+    for (const [u, s] of open) {
+      if (next.has(u)) continue;
+      if (s.missingSince == null) s.missingSince = ts;
+      s.missedNow += 1;
+      if (graceExpired(s, ts)) {
+        // The user was last seen before the first missed poll, so that is when they left.
+        events.push(store.eventLeave(u, s.missingSince, channelLogin, s.streamId));
+        open.delete(u);
+        left.push(u);
+      }
+    }
+
+    const touched = [];
+    for (const [u, s] of open) {
+      if (s.missingSince != null) continue;
+      touched.push({
+        username: u,
+        user_id: s.userId,
+        polls_seen: s.pollsSeen,
+        gap_count: s.gapCount,
+        missed_polls: s.missedPolls,
+        confidence: sessionConfidence(s)
+      });
+    }
+    store.touchSessions(channelLogin, touched);
+
+    return { joined, left, returned, events };
+  }
+
+  // Chat JOIN/PRIVMSG: the user is here now, even between polls.
+  function seen(u, ts, { streamId = null, userId = null } = {}) {
+    const s = open.get(u);
+    if (!s) {
+      open.set(u, { userId, streamId, pollsSeen: 0, gapCount: 0, missedPolls: 0, missingSince: null, missedNow: 0 });
+      return [store.eventJoin(u, ts, channelLogin, streamId, userId)];
+    }
+    if (userId) s.userId = userId;
+    if (s.missingSince != null) {
+      if (s.missedNow > 0) {
+        s.gapCount += 1;
+        s.missedPolls += s.missedNow;
+      }
+      s.missingSince = null;
+      s.missedNow = 0;
+    }
+    if (s.streamId !== streamId) {
+      s.streamId = streamId;
+      store.splitSessions(channelLogin, [u], ts, streamId);
+    }
+    return [];
+  }
+
+  // Chat PART: start the grace window now so the leave gets the PART time; the
+  // next polls still decide whether the user is really gone.
+  function part(u, ts) {
+    const s = open.get(u);
+    if (s && s.missingSince == null) s.missingSince = ts;
+  }
+
+  return {
+    channelLogin,
+    observe,
+    seen,
+    part,
+    // Everyone with an open session, including users inside the grace window.
+    get current() {
+      return new Set(open.keys());
+    },
+    get pending() {
+      return [...open].filter(([, s]) => s.missingSince != null).map(([u]) => u);
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { createStore } from './store.js';
+import { openSnapshotSource, replaySnapshots } from './snapshots.js';
+
+// Rebuilds events and sessions from recorded chatter snapshots into a fresh database:
+//   npm run replay -- --to replay.db [--from tracker.db] [--channel x] [--grace-polls 2] [--grace-sec 0]
+const { values: opts } = parseArgs({
+  options: {
+    from: { type: 'string', default: process.env.DB_PATH || './tracker.db' },
+    to: { type: 'string' },
+    channel: { type: 'string', multiple: true },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    'grace-polls': { type: 'string', default: process.env.LEAVE_GRACE_POLLS ?? '2' },
+    'grace-sec': { type: 'string', default: process.env.LEAVE_GRACE_SEC || '0' },
+    force: { type: 'boolean', default: false }
+  }
+});
+
+function parseTime(v) {
+  if (v == null || v === '') return null;
+  const n = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  if (!Number.isFinite(n)) throw new Error(`Invalid time: ${v}`);
+  return n;
+}
+
+function fail(msg) {
+  console.error(`[replay] ${msg}`);
+  process.exit(1);
+}
+
+if (!opts.to) fail('Missing --to <path> for the rebuilt database');
+if (path.resolve(opts.to) === path.resolve(opts.from)) fail('--to must differ from --from');
+if (!fs.existsSync(opts.from)) fail(`Source database not found: ${opts.from}`);
+if (fs.existsSync(opts.to)) {
+  if (!opts.force) fail(`${opts.to} already exists (use --force to replace it)`);
+  for (const suffix of ['', '-wal', '-shm']) fs.rmSync(`${opts.to}${suffix}`, { force: true });
+}
+
+function openStore(file) {
+  try {
+    return createStore(file, { legacyChannel: process.env.LEGACY_CHANNEL_LOGIN?.trim().toLowerCase() || null, log: console.log });
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+// The source is only ever read; the live tracker.db is fine.
+let source;
+try {
+  source = openSnapshotSource(opts.from);
+} catch (err) {
+  fail(err.message);
+}
+const target = openStore(opts.to);
+
+// Broadcasts and profiles are copied as-is so the rebuilt sessions join against them.
+target.db.transaction(() => {
+  for (const table of ['streams', 'users', 'user_logins']) {
+    const cols = target.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    const insert = target.db.prepare(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(c => `@${c}`).join(', ')})`);
+    for (const row of source.iterateTable(table)) insert.run(row);
+  }
+})();
+
+const known = source.getSnapshotChannels();
+const channels = opts.channel?.map(c => c.toLowerCase()) || known.map(c => c.channel_login);
+if (!known.length) console.warn('[replay] no snapshots recorded (set RECORD_SNAPSHOTS=1 on the tracker)');
+
+for (const channelLogin of channels) {
+  const result = replaySnapshots({
+    source,
+    target,
+    channelLogin,
+    from: parseTime(opts.since),
+    to: parseTime(opts.until),
+    gracePolls: Number(opts['grace-polls']),
+    graceMs: Number(opts['grace-sec']) * 1000
+  });
+  console.log(`[replay:${channelLogin}] ${result.snapshots} snapshots -> ${result.joins} joins, ${result.leaves} leaves, ${result.open} still open`);
+}
+
+source.db.close();
+target.db.close();
@@ -0,0 +1,92 @@
+import { fetchChannelRoles } from './twitch.js';
+
+export const ROLES = ['moderator', 'vip', 'subscriber'];
+
+// Scopes that let a token read each role list. Broadcaster scopes only work on the
+// broadcaster's own token, moderator scopes on any moderator's; subscriptions have no
+// moderator scope.
+export const ROLE_SCOPES = {
+  moderator: { moderator: ['moderator:read:moderators'], broadcaster: ['moderation:read', 'channel:manage:moderators'] },
+  vip: { moderator: ['moderator:read:vips'], broadcaster: ['channel:read:vips', 'channel:manage:vips'] },
+  subscriber: { moderator: [], broadcaster: ['channel:read:subscriptions'] }
+};
+
+// Whether the auth session `a` can read `role` for the channel with id `broadcasterId`.
+export function canReadRole(a, role, broadcasterId) {
+  const scopes = new Set(a.tokenScopes || []);
+  const need = ROLE_SCOPES[role];
+  if (need.moderator.some(s => scopes.has(s))) return true;
+  return !!broadcasterId && a.moderatorId === broadcasterId && need.broadcaster.some(s => scopes.has(s));
+}
+
+// Keeps each tracked channel's moderator, VIP and subscriber lists in `channel_roles`, with
+// every change after the first sync logged to `role_history`. Lists are re-read in full every
+// `intervalMs`; a failed read is retried after `retryMs`. `cfg` is the enricher's:
+// `sessionsFor(channel)` and `freshToken(a)`; only sessions whose scopes allow the role are tried.
+export function createRoleSync({ cfg, store, channels, intervalMs = 30 * 60_000, retryMs = 5 * 60_000, onChange = () => {} }) {
+  let running = false;
+  const lastErrors = new Map(); // `${channel}:${role}` -> { message, at }
+
+  function isAuthError(err) {
+    const status = err?.response?.status;
+    return status === 401 || status === 403;
+  }
+
+  async function fetchRole({ login, broadcasterId }, role) {
+    const candidates = cfg.sessionsFor(login).filter(a => canReadRole(a, role, broadcasterId));
+    if (!candidates.length) throw new Error(`No token with a scope for ${role}s of ${login}`);
+    let lastErr = null;
+    for (const a of candidates) {
+      try {
+        const token = await cfg.freshToken(a);
+        return await fetchChannelRoles({ clientId: cfg.clientId, userAccessToken: token, broadcasterId, role });
+      } catch (err) {
+        lastErr = err;
+        if (!isAuthError(err)) break;
+      }
+    }
+    throw lastErr;
+  }
+
+  async function syncChannel(ch, now) {
+    const state = store.getRoleSyncState(ch.login);
+    for (const role of ROLES) {
+      const key = `${ch.login}:${role}`;
+      const failed = lastErrors.get(key);
+      if (failed ? now - failed.at < retryMs : state[role] && now - state[role].synced_at < intervalMs) continue;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const { users, complete } = await fetchRole(ch, role);
+        const changes = store.saveRoleList(ch.login, role, users, { ts: now, complete });
+        lastErrors.delete(key);
+        if (!changes.first && changes.added + changes.removed + changes.tier > 0) onChange(ch.login, role, changes);
+      } catch (err) {
+        lastErrors.set(key, { message: err?.response?.data?.message || err?.message || String(err), at: now });
+      }
+    }
+  }
+
+  return {
+    async tick() {
+      if (running || !cfg.clientId || !intervalMs) return;
+      running = true;
+      try {
+        for (const ch of channels()) {
+          if (!ch.broadcasterId) continue;
+          // eslint-disable-next-line no-await-in-loop
+          await syncChannel(ch, Date.now());
+        }
+      } finally {
+        running = false;
+      }
+    },
+    status(channelLogin) {
+      const state = store.getRoleSyncState(channelLogin);
+      return Object.fromEntries(ROLES.map(role => [role, {
+        synced_at: state[role]?.synced_at ?? null,
+        holders: state[role]?.holders ?? null,
+        lastError: lastErrors.get(`${channelLogin}:${role}`)?.message || null
+      }]));
+    }
+  };
+}
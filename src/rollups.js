@@ -0,0 +1,49 @@
+// Closed sessions are rolled up per channel, UTC day and viewer (user id, or 'login:<name>' until
+// the id is known). A visit counts on the day it started; watch time is split across the days it spans.
+
+export const DAY_MS = 86_400_000;
+
+export const UPSERT_ROLLUP_SQL = `
+  INSERT INTO daily_rollups (channel_login, day, viewer, user_id, username, visits, active_visits, watch_sec, messages,
+    confidence_sum, confidence_count, first_joined_at, last_joined_at)
+  VALUES (@channel_login, @day, @viewer, @user_id, @username, @visits, @active_visits, @watch_sec, @messages,
+    @confidence_sum, @confidence_count, @joined_at, @joined_at)
+  ON CONFLICT(channel_login, day, viewer) DO UPDATE SET
+    user_id = COALESCE(excluded.user_id, user_id),
+    username = excluded.username,
+    visits = visits + excluded.visits,
+    active_visits = active_visits + excluded.active_visits,
+    watch_sec = watch_sec + excluded.watch_sec,
+    messages = messages + excluded.messages,
+    confidence_sum = confidence_sum + excluded.confidence_sum,
+    confidence_count = confidence_count + excluded.confidence_count,
+    first_joined_at = MIN(first_joined_at, excluded.first_joined_at),
+    last_joined_at = MAX(last_joined_at, excluded.last_joined_at)
+`;
+
+// Rollup rows for a session that closed at `leftAt`. Per-day seconds are taken from the
+// running total so they add up to the session's duration_sec.
+export function rollupRows(row, leftAt) {
+  const end = Math.max(leftAt, row.joined_at);
+  const secAt = (t) => Math.floor((t - row.joined_at) / 1000);
+  const first = row.joined_at - (row.joined_at % DAY_MS);
+  const out = [];
+  for (let day = first; day === first || day < end; day += DAY_MS) {
+    const isFirst = day === first;
+    out.push({
+      channel_login: row.channel_login,
+      day,
+      viewer: row.user_id || `login:${row.username}`,
+      user_id: row.user_id || null,
+      username: row.username,
+      visits: isFirst ? 1 : 0,
+      active_visits: isFirst && row.message_count > 0 ? 1 : 0,
+      watch_sec: secAt(Math.min(day + DAY_MS, end)) - secAt(Math.max(day, row.joined_at)),
+      messages: isFirst ? row.message_count || 0 : 0,
+      confidence_sum: isFirst && row.confidence != null ? row.confidence : 0,
+      confidence_count: isFirst && row.confidence != null ? 1 : 0,
+      joined_at: row.joined_at
+    });
+  }
+  return out;
+}
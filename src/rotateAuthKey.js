@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createAuthStore, generateKey, readKeyFile, writeFileAtomic } from './authStore.js';
+
+// Re-encrypts the stored OAuth tokens with a new key:
+//   npm run rotate-auth-key [-- --keep 2]
+// With a key file, the new key is put first and the newest `--keep` old keys stay
+// below it, so a tracker still running with an old key keeps writing readable entries.
+// With AUTH_ENCRYPTION_KEY set, a new key is printed for the environment instead.
+const { values: opts } = parseArgs({
+  options: {
+    file: { type: 'string', default: './.auth.json' },
+    'key-file': { type: 'string', default: process.env.AUTH_KEY_FILE || './.auth.key' },
+    keep: { type: 'string', default: '2' }
+  }
+});
+
+function fail(msg) {
+  console.error(`[auth] ${msg}`);
+  process.exit(1);
+}
+
+const key = generateKey();
+
+if (process.env.AUTH_ENCRYPTION_KEY) {
+  console.log('[auth] AUTH_ENCRYPTION_KEY is set; update the environment and restart the tracker:');
+  console.log(`  AUTH_ENCRYPTION_KEY=${key}`);
+  console.log(`  AUTH_PREVIOUS_KEYS=${[process.env.AUTH_ENCRYPTION_KEY, process.env.AUTH_PREVIOUS_KEYS].filter(Boolean).join(',')}`);
+  console.log('[auth] entries are re-encrypted with the new key on the next start.');
+  process.exit(0);
+}
+
+const keep = Number(opts.keep);
+if (!Number.isInteger(keep) || keep < 0) fail('--keep must be a non-negative integer');
+const old = readKeyFile(opts['key-file']);
+if (!old.length && fs.existsSync(opts.file)) fail(`${opts['key-file']} not found; cannot read ${opts.file}`);
+
+// Rotating would drop the keys a token still needs, so every entry has to open first.
+if (old.length) {
+  const current = createAuthStore(opts.file, { keys: old, log: console.log });
+  current.load({ rewrite: false });
+  const unreadable = current.undecryptable();
+  if (unreadable.length) {
+    fail(`cannot decrypt ${unreadable.length} token(s) in ${opts.file} with the keys in ${opts['key-file']}; restore the missing key or remove those sessions first`);
+  }
+}
+
+// The new key reaches the key file before anything is encrypted with it, so a crash at any
+// point leaves every entry readable. Every old key is still needed to open the file; only
+// the trimmed list is kept afterwards.
+writeFileAtomic(opts['key-file'], `${[key, ...old].join('\n')}\n`);
+const authStore = createAuthStore(opts.file, { keys: [key, ...old], log: console.log });
+const data = authStore.load();
+if (data) authStore.save(data);
+writeFileAtomic(opts['key-file'], `${[key, ...old.slice(0, keep)].join('\n')}\n`);
+console.log(`[auth] rotated to key ${authStore.keyId}; ${data ? Object.keys(data).length : 0} session(s) re-encrypted`);
@@ -0,0 +1,77 @@
+import zlib from 'node:zlib';
+import Database from 'better-sqlite3';
+import { createPresence } from './presence.js';
+import { SCHEMA_VERSION } from './migrations.js';
+
+// Raw chatter polls are stored as gzipped JSON `[[login, user_id], ...]` so history
+// can be re-derived later with different join/leave rules.
+
+export function encodeSnapshot(chatters) {
+  const rows = chatters instanceof Map ? [...chatters] : [...chatters].map(login => [login, null]);
+  return zlib.gzipSync(JSON.stringify(rows));
+}
+
+export function decodeSnapshot(data) {
+  return new Map(JSON.parse(zlib.gunzipSync(data).toString('utf8')));
+}
+
+// Opens a tracker database read-only for replay: nothing is migrated or backed up, so it can
+// be the live tracker.db. Its schema must match this tracker's.
+export function openSnapshotSource(file) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const hasVersion = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`).get();
+    const version = hasVersion ? db.prepare(`SELECT COALESCE(MAX(version), 0) AS v FROM schema_version`).get().v : 0;
+    if (version !== SCHEMA_VERSION) {
+      throw new Error(version > SCHEMA_VERSION
+        ? `${file} is at schema v${version}, newer than this tracker (v${SCHEMA_VERSION}); upgrade the tracker`
+        : `${file} is at schema v${version}, older than this tracker (v${SCHEMA_VERSION}); start the tracker on it once to migrate it`);
+    }
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+
+  const iterateSnapshots = db.prepare(`
+    SELECT * FROM snapshots WHERE channel_login = @channel AND (@from IS NULL OR ts >= @from) AND (@to IS NULL OR ts < @to) ORDER BY ts, id
+  `);
+  const getSnapshotChannels = db.prepare(`
+    SELECT channel_login, COUNT(*) AS snapshots, MIN(ts) AS first_ts, MAX(ts) AS last_ts FROM snapshots GROUP BY channel_login ORDER BY channel_login
+  `);
+
+  return {
+    db,
+    iterateSnapshots(channelLogin, { from = null, to = null } = {}) {
+      return iterateSnapshots.iterate({ channel: channelLogin, from, to });
+    },
+    getSnapshotChannels() {
+      return getSnapshotChannels.all();
+    },
+    // All rows of `table`, for copying into the rebuilt database.
+    iterateTable(table) {
+      return db.prepare(`SELECT * FROM ${table}`).iterate();
+    }
+  };
+}
+
+// Feeds one channel's stored snapshots, oldest first, from `source` (openSnapshotSource)
+// through the current presence logic into `target` (a fresh store). Chat-only joins are not snapshotted and are
+// therefore not replayed.
+export function replaySnapshots({ source, target, channelLogin, from = null, to = null, gracePolls = 2, graceMs = 0 }) {
+  const presence = createPresence({ store: target, channelLogin, gracePolls, graceMs });
+  const out = { channel: channelLogin, snapshots: 0, joins: 0, leaves: 0 };
+
+  // One transaction per poll keeps replay fast without holding a write lock for the whole run.
+  const step = target.db.transaction((snap) => {
+    const { events } = presence.observe(decodeSnapshot(snap.data), snap.ts, { streamId: snap.stream_id });
+    target.markPolled(channelLogin, snap.ts);
+    return events;
+  });
+
+  for (const snap of source.iterateSnapshots(channelLogin, { from, to })) {
+    out.snapshots += 1;
+    for (const e of step(snap)) out[e.event_type === 'join' ? 'joins' : 'leaves'] += 1;
+  }
+  out.open = presence.current.size;
+  return out;
+}
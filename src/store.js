@@ -1,89 +1,270 @@
 import Database from 'better-sqlite3';
+import { migrate } from './migrations.js';
+import { DAY_MS, UPSERT_ROLLUP_SQL, rollupRows } from './rollups.js';
 
-function hasColumn(db, table, column) {
-  const rows = db.prepare(`PRAGMA table_info(${table})`).all();
-  return rows.some(r => r.name === column);
-}
+// Open sessions stop accruing watch time once their channel has gone this long without a successful poll.
+const OPEN_SESSION_STALE_MS = 5 * 60_000;
 
-export function createStore(path = './tracker.db') {
+// `legacyChannel` receives rows recorded before channels existed (migration 12); without it,
+// they go to the channel in `knownChannels` if that is the only one.
+export function createStore(path = './tracker.db', { legacyChannel = null, knownChannels = [], log = () => {} } = {}) {
   const db = new Database(path);
 
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS events (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT NOT NULL,
-      event_type TEXT NOT NULL CHECK(event_type IN ('join','leave')),
-      ts INTEGER NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS sessions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT NOT NULL,
-      joined_at INTEGER NOT NULL,
-      left_at INTEGER,
-      duration_sec INTEGER
-    );
-
-    CREATE TABLE IF NOT EXISTS users (
-      username TEXT PRIMARY KEY,
-      user_id TEXT,
-      display_name TEXT,
-      broadcaster_type TEXT,
-      follower_count INTEGER,
-      profile_image_url TEXT,
-      updated_at INTEGER
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_events_ts ON events(ts DESC);
-    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(username);
-  `);
-
-  // Migration: map entries to a specific channel
-  if (!hasColumn(db, 'events', 'channel_login')) {
-    db.exec(`ALTER TABLE events ADD COLUMN channel_login TEXT`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_events_channel_ts ON events(channel_login, ts DESC)`);
-  }
-  if (!hasColumn(db, 'sessions', 'channel_login')) {
-    db.exec(`ALTER TABLE sessions ADD COLUMN channel_login TEXT`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_channel_user ON sessions(channel_login, username)`);
+  let migration;
+  try {
+    migration = migrate(db, { path, legacyChannel, knownChannels, log });
+  } catch (err) {
+    db.close();
+    throw err;
   }
 
   const insertEvent = db.prepare(`
-    INSERT INTO events (username, event_type, ts, channel_login) VALUES (?, ?, ?, ?)
+    INSERT INTO events (username, event_type, ts, channel_login, stream_id, user_id) VALUES (?, ?, ?, ?, ?, ?)
   `);
 
   const insertSession = db.prepare(`
-    INSERT INTO sessions (username, joined_at, channel_login) VALUES (?, ?, ?)
+    INSERT INTO sessions (username, joined_at, channel_login, stream_id, user_id) VALUES (?, ?, ?, ?, ?)
   `);
 
-  const closeSession = db.prepare(`
-    UPDATE sessions
-    SET left_at = ?, duration_sec = ?
-    WHERE username = ? AND left_at IS NULL AND channel_login = ?
-    ORDER BY joined_at DESC
+  const getKnownUserId = db.prepare(`SELECT user_id FROM users WHERE username = ?`);
+
+  const upsertLogin = db.prepare(`
+    INSERT INTO user_logins (user_id, login, first_seen_at, last_seen_at) VALUES (@user_id, @login, @ts, @ts)
+    ON CONFLICT(user_id, login) DO UPDATE SET
+      first_seen_at = MIN(first_seen_at, excluded.first_seen_at),
+      last_seen_at = MAX(last_seen_at, excluded.last_seen_at)
+  `);
+
+  // The current owner of a login wins; otherwise whoever used it most recently.
+  const resolveLogin = db.prepare(`
+    SELECT user_id FROM users WHERE username = @login AND user_id IS NOT NULL
+    UNION ALL
+    SELECT * FROM (SELECT user_id FROM user_logins WHERE login = @login ORDER BY last_seen_at DESC LIMIT 1)
     LIMIT 1
   `);
+  const getLoginHistory = db.prepare(`
+    SELECT login, first_seen_at, last_seen_at FROM user_logins WHERE user_id = ? ORDER BY first_seen_at
+  `);
+
+  const upsertRollup = db.prepare(UPSERT_ROLLUP_SQL);
+
+  // Adds a session that just closed at `leftAt` to the daily rollups (see rollups.js).
+  function rollSession(row, leftAt) {
+    for (const r of rollupRows(row, leftAt)) upsertRollup.run(r);
+  }
+
+  // Once a login's user id is known, its rollups move from the 'login:' key to the id.
+  const mergeLoginRollups = db.prepare(`
+    INSERT INTO daily_rollups (channel_login, day, viewer, user_id, username, visits, active_visits, watch_sec, messages,
+      confidence_sum, confidence_count, first_joined_at, last_joined_at)
+    SELECT channel_login, day, @user_id, @user_id, username, visits, active_visits, watch_sec, messages,
+      confidence_sum, confidence_count, first_joined_at, last_joined_at
+    FROM daily_rollups WHERE viewer = 'login:' || @username
+    ON CONFLICT(channel_login, day, viewer) DO UPDATE SET
+      visits = visits + excluded.visits,
+      active_visits = active_visits + excluded.active_visits,
+      watch_sec = watch_sec + excluded.watch_sec,
+      messages = messages + excluded.messages,
+      confidence_sum = confidence_sum + excluded.confidence_sum,
+      confidence_count = confidence_count + excluded.confidence_count,
+      first_joined_at = MIN(first_joined_at, excluded.first_joined_at),
+      last_joined_at = MAX(last_joined_at, excluded.last_joined_at)
+  `);
+  const deleteLoginRollups = db.prepare(`DELETE FROM daily_rollups WHERE viewer = 'login:' || ?`);
 
   const getOpenUsers = db.prepare(`
     SELECT username FROM sessions WHERE left_at IS NULL AND channel_login = ?
   `);
 
+  const getOpenSessionRow = db.prepare(`
+    SELECT * FROM sessions WHERE username = ? AND left_at IS NULL AND channel_login = ? ORDER BY joined_at DESC LIMIT 1
+  `);
+
+  const closeSessionById = db.prepare(`UPDATE sessions SET left_at = ?, duration_sec = ? WHERE id = ?`);
+
+  const recordLeave = db.transaction((username, ts, channelLogin, streamId) => {
+    const row = getOpenSessionRow.get(username, channelLogin);
+    const userId = row?.user_id || null;
+    const { lastInsertRowid } = insertEvent.run(username, 'leave', ts, channelLogin, streamId, userId);
+    if (row) {
+      closeSessionById.run(ts, Math.max(0, Math.floor((ts - row.joined_at) / 1000)), row.id);
+      rollSession(row, ts);
+    }
+    return { id: Number(lastInsertRowid), username, user_id: userId, event_type: 'leave', ts, channel_login: channelLogin, stream_id: streamId };
+  });
+
+  const reopenSession = db.prepare(`
+    INSERT INTO sessions (username, joined_at, channel_login, stream_id, polls_seen, gap_count, missed_polls, confidence, user_id)
+    VALUES (@username, @joined_at, @channel_login, @stream_id, @polls_seen, @gap_count, @missed_polls, @confidence, @user_id)
+  `);
+
+  // Close the users' open sessions at `ts` and continue them in new rows tagged with
+  // the new broadcast, so each session belongs to exactly one stream (or to off-air).
+  const splitSessions = db.transaction((channelLogin, usernames, ts, streamId) => {
+    for (const u of usernames) {
+      const row = getOpenSessionRow.get(u, channelLogin);
+      if (!row) continue;
+      const dur = Math.max(0, Math.floor((ts - row.joined_at) / 1000));
+      closeSessionById.run(ts, dur, row.id);
+      rollSession(row, ts);
+      reopenSession.run({ ...row, joined_at: ts, stream_id: streamId });
+    }
+  });
+
+  const insertSnapshot = db.prepare(`
+    INSERT INTO snapshots (channel_login, ts, stream_id, chatter_count, data) VALUES (@channel, @ts, @stream_id, @count, @data)
+  `);
+
+  const markPolled = db.prepare(`
+    INSERT INTO channel_state (channel_login, last_poll_at) VALUES (@channel, @ts)
+    ON CONFLICT(channel_login) DO UPDATE SET last_poll_at = excluded.last_poll_at
+  `);
+  const endOutage = db.prepare(`UPDATE outages SET ended_at = @ts WHERE channel_login = @channel AND ended_at IS NULL`);
+  const getLastPoll = db.prepare(`SELECT last_poll_at FROM channel_state WHERE channel_login = ?`);
+  const getOpenOutage = db.prepare(`SELECT * FROM outages WHERE channel_login = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1`);
+  const insertOutage = db.prepare(`INSERT INTO outages (channel_login, started_at, sessions_closed) VALUES (?, ?, ?)`);
+  const truncateSession = db.prepare(`UPDATE sessions SET left_at = ?, duration_sec = ?, truncated = 1 WHERE id = ?`);
+  const getOpenSessionRows = db.prepare(`SELECT * FROM sessions WHERE left_at IS NULL AND channel_login = ?`);
+  const getLastEventAt = db.prepare(`SELECT MAX(ts) AS ts FROM events WHERE channel_login = ?`);
+
+  const getOutages = db.prepare(`
+    SELECT * FROM outages
+    WHERE channel_login = @channel
+      AND (@from IS NULL OR COALESCE(ended_at, @now) > @from) AND (@to IS NULL OR started_at < @to)
+    ORDER BY started_at DESC
+    LIMIT @limit
+  `);
+
+  // Sessions still open from before a restart end at the channel's last successful poll, with
+  // a leave event at that time; the gap until the next successful poll is stored as an outage.
+  // Databases from before polls were recorded end them at the channel's latest event instead,
+  // or at the session's own join if the channel has none. A gap no longer than `resumeWithinMs`
+  // (or OPEN_SESSION_STALE_MS) is a quick restart: the open sessions are resumed as they are.
+  // Returns the channel's open outage, if any, and how many sessions this call closed.
+  const recoverChannel = db.transaction((channelLogin, now, resumeWithinMs) => {
+    const existing = getOpenOutage.get(channelLogin);
+    if (existing) return { outage: existing, sessionsClosed: 0 };
+    const lastPoll = getLastPoll.get(channelLogin)?.last_poll_at ?? null;
+    const last = lastPoll ?? getLastEventAt.get(channelLogin)?.ts ?? null;
+    if (last != null && now - last <= Math.max(resumeWithinMs, OPEN_SESSION_STALE_MS)) return { outage: null, sessionsClosed: 0 };
+
+    const open = getOpenSessionRows.all(channelLogin);
+    if (lastPoll == null && !open.length) return { outage: null, sessionsClosed: 0 };
+    for (const row of open) {
+      const ts = Math.max(last ?? row.joined_at, row.joined_at);
+      truncateSession.run(ts, Math.floor((ts - row.joined_at) / 1000), row.id);
+      rollSession(row, ts);
+      insertEvent.run(row.username, 'leave', ts, channelLogin, row.stream_id, row.user_id);
+    }
+    const startedAt = last ?? Math.max(...open.map(row => row.joined_at));
+    const { lastInsertRowid } = insertOutage.run(channelLogin, startedAt, open.length);
+    return {
+      outage: { id: Number(lastInsertRowid), channel_login: channelLogin, started_at: startedAt, ended_at: null, sessions_closed: open.length },
+      sessionsClosed: open.length
+    };
+  });
+
+  // Where open sessions end for watch-time totals: now while polls are succeeding,
+  // otherwise the last successful poll.
+  function openUntil(channelLogin, now = Date.now()) {
+    const last = getLastPoll.get(channelLogin)?.last_poll_at;
+    return last != null && now - last > OPEN_SESSION_STALE_MS ? last : now;
+  }
+
+  const recordMessage = db.prepare(`
+    UPDATE sessions
+    SET message_count = message_count + 1,
+      first_message_at = COALESCE(first_message_at, @ts),
+      last_message_at = @ts
+    WHERE username = @username AND left_at IS NULL AND channel_login = @channel_login
+  `);
+
+  const getOpenSessions = db.prepare(`
+    SELECT username, user_id, stream_id, polls_seen, gap_count, missed_polls FROM sessions WHERE left_at IS NULL AND channel_login = ?
+  `);
+
+  const touchSession = db.prepare(`
+    UPDATE sessions
+    SET polls_seen = @polls_seen, gap_count = @gap_count, missed_polls = @missed_polls, confidence = @confidence,
+      user_id = COALESCE(@user_id, user_id)
+    WHERE username = @username AND left_at IS NULL AND channel_login = @channel_login
+  `);
+
+  const touchSessions = db.transaction((channelLogin, rows) => {
+    for (const r of rows) touchSession.run({ ...r, channel_login: channelLogin });
+  });
+
+  // Optional @role filter on a user id column: a role name, 'none' for viewers without a role
+  // in @channel, or NULL for everyone.
+  const roleFilter = (userIdCol) => `(@role IS NULL
+    OR (@role = 'none' AND NOT EXISTS (SELECT 1 FROM channel_roles cr WHERE cr.channel_login = @channel AND cr.user_id = ${userIdCol}))
+    OR EXISTS (SELECT 1 FROM channel_roles cr WHERE cr.channel_login = @channel AND cr.user_id = ${userIdCol} AND cr.role = @role))`;
+
   const getEvents = db.prepare(`
     SELECT * FROM events
-    WHERE channel_login = ?
+    WHERE channel_login = @channel AND ${roleFilter('events.user_id')}
     ORDER BY ts DESC
-    LIMIT ? OFFSET ?
+    LIMIT @limit OFFSET @offset
   `);
 
-  const countEvents = db.prepare(`SELECT COUNT(*) as c FROM events WHERE channel_login = ?`);
+  const countEvents = db.prepare(`SELECT COUNT(*) as c FROM events WHERE channel_login = @channel AND ${roleFilter('events.user_id')}`);
+
+  const getEventsSince = db.prepare(`
+    SELECT * FROM events
+    WHERE channel_login = ? AND id > ?
+    ORDER BY id ASC
+    LIMIT ?
+  `);
 
   const getSessions = db.prepare(`
-    SELECT * FROM sessions
-    WHERE channel_login = ?
+    SELECT *, CASE WHEN message_count > 0 THEN 'active' ELSE 'lurking' END AS engagement FROM sessions
+    WHERE channel_login = @channel AND COALESCE(confidence, 0) >= @min_confidence
+      AND (@stream_id IS NULL OR stream_id = @stream_id)
+      AND (@logins IS NULL OR user_id = @user_id
+        OR ((user_id IS NULL OR @user_id IS NULL) AND username IN (SELECT value FROM json_each(@logins))))
     ORDER BY joined_at DESC
-    LIMIT ?
+    LIMIT @limit
+  `);
+
+  const upsertStream = db.prepare(`
+    INSERT INTO streams (id, channel_login, title, category, started_at)
+    VALUES (@id, @channel_login, @title, @category, @started_at)
+    ON CONFLICT(id) DO UPDATE SET
+      title=excluded.title,
+      category=excluded.category,
+      ended_at=NULL
+  `);
+
+  const endStream = db.prepare(`UPDATE streams SET ended_at = ? WHERE id = ?`);
+  const bumpStreamPeak = db.prepare(`UPDATE streams SET peak_viewers = MAX(peak_viewers, ?) WHERE id = ?`);
+  const getOpenStream = db.prepare(`
+    SELECT * FROM streams WHERE channel_login = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1
+  `);
+  const getStream = db.prepare(`SELECT * FROM streams WHERE id = ?`);
+
+  const getStreams = db.prepare(`
+    SELECT st.*,
+      (SELECT COUNT(DISTINCT COALESCE(s.user_id, s.username)) FROM sessions s WHERE s.stream_id = st.id) AS unique_viewers
+    FROM streams st
+    WHERE st.channel_login = ?
+    ORDER BY st.started_at DESC
+    LIMIT ? OFFSET ?
+  `);
+
+  const countStreams = db.prepare(`SELECT COUNT(*) as c FROM streams WHERE channel_login = ?`);
+
+  const getStreamWatch = db.prepare(`
+    SELECT COUNT(DISTINCT COALESCE(user_id, username)) AS unique_viewers,
+      COALESCE(SUM(CASE
+        WHEN duration_sec IS NOT NULL THEN duration_sec
+        ELSE MAX(0, CAST((? - joined_at) / 1000 AS INTEGER))
+      END), 0) AS total_watch_sec
+    FROM sessions WHERE stream_id = ?
   `);
 
+  const deleteOtherLogins = db.prepare(`DELETE FROM users WHERE user_id = ? AND username <> ?`);
+  const backfillSessionIds = db.prepare(`UPDATE sessions SET user_id = ? WHERE username = ? AND user_id IS NULL`);
+
   const upsertUser = db.prepare(`
     INSERT INTO users (username, user_id, display_name, broadcaster_type, follower_count, profile_image_url, updated_at)
     VALUES (@username, @user_id, @display_name, @broadcaster_type, @follower_count, @profile_image_url, @updated_at)
@@ -91,72 +272,1057 @@ export function createStore(path = './tracker.db') {
       user_id=excluded.user_id,
       display_name=excluded.display_name,
       broadcaster_type=excluded.broadcaster_type,
-      follower_count=excluded.follower_count,
+      follower_count=COALESCE(excluded.follower_count, users.follower_count),
       profile_image_url=excluded.profile_image_url,
       updated_at=excluded.updated_at
   `);
 
+  // A profile saved under a new login replaces the old login's row, and sessions
+  // recorded before the id was known are attached to it.
+  const saveUserProfile = db.transaction((profile) => {
+    if (profile.user_id) {
+      deleteOtherLogins.run(profile.user_id, profile.username);
+      upsertLogin.run({ user_id: profile.user_id, login: profile.username, ts: profile.updated_at || Date.now() });
+      backfillSessionIds.run(profile.user_id, profile.username);
+      mergeLoginRollups.run({ user_id: profile.user_id, username: profile.username });
+      deleteLoginRollups.run(profile.username);
+    }
+    upsertUser.run(profile);
+  });
+
+  // Maps any current or past login to the viewer's id and every login they used.
+  function resolveUser(login) {
+    const userId = resolveLogin.get({ login })?.user_id || null;
+    const history = userId ? getLoginHistory.all(userId) : [];
+    const logins = history.map(h => h.login);
+    if (!logins.includes(login)) logins.push(login);
+    return { userId, logins, history };
+  }
+
+  // Filter params for a resolveUser() result; null matches everyone.
+  function userParams(user) {
+    return user ? { user_id: user.userId, logins: JSON.stringify(user.logins) } : { user_id: null, logins: null };
+  }
+
+  // Skips users whose profile is still fresh; already-queued users keep their backoff.
+  const enqueueEnrich = db.prepare(`
+    INSERT INTO enrich_queue (username, queued_at, next_attempt_at, channel_login)
+    SELECT @username, @now, @now, @channel_login
+    WHERE NOT EXISTS (SELECT 1 FROM users WHERE username = @username AND updated_at >= @stale_before)
+    ON CONFLICT(username) DO UPDATE SET channel_login = COALESCE(enrich_queue.channel_login, excluded.channel_login)
+  `);
+
+  const requeueStale = db.prepare(`
+    INSERT INTO enrich_queue (username, queued_at, next_attempt_at, channel_login)
+    SELECT u.username, @now, @now,
+      (SELECT s.channel_login FROM sessions s WHERE s.username = u.username ORDER BY s.joined_at DESC LIMIT 1)
+    FROM users u
+    WHERE COALESCE(u.updated_at, 0) < @stale_before
+      AND NOT EXISTS (SELECT 1 FROM enrich_queue q WHERE q.username = u.username)
+    ORDER BY COALESCE(u.updated_at, 0) ASC
+    LIMIT @limit
+  `);
+
+  const getDueEnrich = db.prepare(`
+    SELECT * FROM enrich_queue WHERE next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT ?
+  `);
+
+  const deleteEnrich = db.prepare(`DELETE FROM enrich_queue WHERE username = ?`);
+
+  const failEnrich = db.prepare(`
+    UPDATE enrich_queue
+    SET attempts = attempts + 1, last_attempt_at = @now, last_error = @error,
+      next_attempt_at = @now + MIN(@max_backoff_ms, @base_backoff_ms * (1 << MIN(attempts, 20)))
+    WHERE username = @username
+  `);
+
+  const enrichCounts = db.prepare(`
+    SELECT
+      COALESCE(SUM(CASE WHEN last_error IS NULL THEN 1 ELSE 0 END), 0) AS pending,
+      COALESCE(SUM(CASE WHEN last_error IS NOT NULL THEN 1 ELSE 0 END), 0) AS failed,
+      COALESCE(SUM(CASE WHEN next_attempt_at <= ? THEN 1 ELSE 0 END), 0) AS due
+    FROM enrich_queue
+  `);
+
+  const countStaleUsers = db.prepare(`SELECT COUNT(*) AS c FROM users WHERE COALESCE(updated_at, 0) < ?`);
+
+  const getEnrichFailures = db.prepare(`
+    SELECT * FROM enrich_queue WHERE last_error IS NOT NULL ORDER BY last_attempt_at DESC LIMIT ?
+  `);
+
+  // Distinct users whose session overlaps each [start, start + bucket) window; open sessions run to @now (see openUntil).
+  const getTimeline = db.prepare(`
+    WITH RECURSIVE b(start) AS (
+      SELECT @from
+      UNION ALL
+      SELECT start + @bucket FROM b WHERE start + @bucket < @to
+    )
+    SELECT b.start AS ts, COUNT(DISTINCT COALESCE(s.user_id, s.username)) AS viewers
+    FROM b
+    LEFT JOIN sessions s
+      ON s.channel_login = @channel
+      AND s.joined_at < b.start + @bucket
+      AND COALESCE(s.left_at, @now) > b.start
+    GROUP BY b.start
+    ORDER BY b.start
+  `);
+
+  const getPresentAt = db.prepare(`
+    SELECT s.id AS session_id, s.username, s.user_id, s.joined_at, s.left_at, s.stream_id, s.confidence,
+      u.display_name, u.broadcaster_type, u.follower_count
+    FROM sessions s
+    LEFT JOIN users u ON u.user_id = s.user_id
+    WHERE s.channel_login = @channel AND s.joined_at <= @ts AND COALESCE(s.left_at, @now) > @ts
+    ORDER BY s.username
+  `);
+
+  // Watch time per viewer per channel; a viewer is their user id, or their login if the id is unknown.
+  // @until maps each channel to where its open sessions end (see openUntil).
+  const overlapBase = `
+    WITH per AS (
+      SELECT s.channel_login AS channel,
+        COALESCE(s.user_id, 'login:' || s.username) AS viewer,
+        MAX(s.user_id) AS user_id,
+        MAX(s.username) AS login,
+        SUM(CASE
+          WHEN s.duration_sec IS NOT NULL THEN s.duration_sec
+          WHEN s.left_at IS NULL THEN MAX(0, CAST((json_extract(@until, '$."' || s.channel_login || '"') - s.joined_at) / 1000 AS INTEGER))
+          ELSE 0
+        END) AS watch_sec
+      FROM sessions s
+      WHERE s.channel_login IN (SELECT value FROM json_each(@channels))
+        AND (@from IS NULL OR s.joined_at >= @from) AND (@to IS NULL OR s.joined_at < @to)
+      GROUP BY s.channel_login, viewer
+    )`;
+  const getOverlapTotals = db.prepare(`${overlapBase}
+    SELECT channel, COUNT(*) AS viewers, SUM(watch_sec) AS watch_sec FROM per GROUP BY channel
+  `);
+  const getOverlapPairs = db.prepare(`${overlapBase}
+    SELECT a.channel AS a, b.channel AS b, COUNT(*) AS shared_viewers,
+      SUM(a.watch_sec) AS a_watch_sec, SUM(b.watch_sec) AS b_watch_sec
+    FROM per a JOIN per b ON b.viewer = a.viewer AND a.channel < b.channel
+    GROUP BY a.channel, b.channel
+  `);
+  const getOverlapTop = db.prepare(`${overlapBase}
+    SELECT COALESCE(u.username, MAX(p.login)) AS username, MAX(p.user_id) AS user_id, u.display_name, u.broadcaster_type, u.follower_count,
+      COUNT(*) AS channel_count, SUM(p.watch_sec) AS watch_sec, json_group_object(p.channel, p.watch_sec) AS per_channel
+    FROM per p
+    LEFT JOIN users u ON u.user_id = p.user_id
+    GROUP BY p.viewer
+    HAVING COUNT(*) >= 2
+    ORDER BY channel_count DESC, watch_sec DESC
+    LIMIT @limit
+  `);
+
+  // One viewer's sessions (any of their logins) with the seconds watched; open sessions run
+  // to their channel's openUntil(). Local times are UTC minus @tz_ms (JS getTimezoneOffset);
+  // bound numbers arrive as REAL, so they are cast before any integer division.
+  const visitorSessions = `
+    vs AS (
+      SELECT s.channel_login, s.stream_id, s.joined_at, s.left_at, s.message_count,
+        COALESCE(s.duration_sec, MAX(0, CAST((
+          CASE WHEN cs.last_poll_at IS NOT NULL AND @now - cs.last_poll_at > @stale_ms THEN cs.last_poll_at ELSE @now END
+          - s.joined_at) / 1000 AS INTEGER))) AS sec
+      FROM sessions s
+      LEFT JOIN channel_state cs ON cs.channel_login = s.channel_login
+      WHERE s.user_id = @user_id OR ((s.user_id IS NULL OR @user_id IS NULL) AND s.username IN (SELECT value FROM json_each(@logins)))
+    ),
+    scoped AS (SELECT * FROM vs WHERE @channel IS NULL OR channel_login = @channel)`;
+
+  const getVisitorChannels = db.prepare(`
+    WITH ${visitorSessions}
+    SELECT channel_login AS channel, COUNT(*) AS visits, SUM(sec) AS total_watch_sec,
+      CAST(ROUND(AVG(sec)) AS INTEGER) AS avg_stay_sec, MAX(sec) AS longest_stay_sec,
+      MIN(joined_at) AS first_seen, MAX(joined_at + sec * 1000) AS last_seen,
+      SUM(message_count) AS messages, SUM(message_count > 0) AS active_visits,
+      COUNT(DISTINCT stream_id) AS streams, SUM(left_at IS NULL) AS open_sessions
+    FROM vs
+    GROUP BY channel_login
+    ORDER BY total_watch_sec DESC
+  `);
+
+  // Seconds present per local weekday (0 = Sunday) and hour; sessions are cut at hour boundaries.
+  const getVisitorHeatmap = db.prepare(`
+    WITH RECURSIVE ${visitorSessions},
+    h(t, end_t) AS (
+      SELECT joined_at - CAST(@tz_ms AS INTEGER), joined_at - CAST(@tz_ms AS INTEGER) + sec * 1000 FROM scoped
+      UNION ALL
+      SELECT (t / 3600000 + 1) * 3600000, end_t FROM h WHERE (t / 3600000 + 1) * 3600000 < end_t
+    )
+    SELECT CAST(strftime('%w', t / 1000, 'unixepoch') AS INTEGER) AS dow,
+      CAST(strftime('%H', t / 1000, 'unixepoch') AS INTEGER) AS hour,
+      SUM(MIN(end_t, (t / 3600000 + 1) * 3600000) - t) / 1000 AS sec
+    FROM h
+    GROUP BY dow, hour
+  `);
+
+  // Runs of consecutive local days with a visit; `current` is the run that reaches today or yesterday.
+  const getVisitorDayStreaks = db.prepare(`
+    WITH ${visitorSessions},
+    d AS (SELECT DISTINCT (joined_at - CAST(@tz_ms AS INTEGER)) / 86400000 AS day FROM scoped),
+    runs AS (
+      SELECT COUNT(*) AS len, MAX(day) AS last_day
+      FROM (SELECT day, day - ROW_NUMBER() OVER (ORDER BY day) AS grp FROM d)
+      GROUP BY grp
+    )
+    SELECT (SELECT COUNT(*) FROM d) AS days,
+      COALESCE((SELECT MAX(len) FROM runs), 0) AS longest,
+      COALESCE((SELECT len FROM runs WHERE last_day >= CAST(@now - @tz_ms AS INTEGER) / 86400000 - 1), 0) AS current
+  `);
+
+  // Runs of consecutive broadcasts of @channel the viewer was present for.
+  const getVisitorStreamStreaks = db.prepare(`
+    WITH ${visitorSessions},
+    st AS (SELECT id, ROW_NUMBER() OVER (ORDER BY started_at) AS rn FROM streams WHERE channel_login = @channel),
+    seen AS (SELECT st.rn FROM st WHERE st.id IN (SELECT stream_id FROM scoped)),
+    runs AS (
+      SELECT COUNT(*) AS len, MAX(rn) AS last_rn
+      FROM (SELECT rn, rn - ROW_NUMBER() OVER (ORDER BY rn) AS grp FROM seen)
+      GROUP BY grp
+    )
+    SELECT (SELECT COUNT(*) FROM st) AS streams, (SELECT COUNT(*) FROM seen) AS attended,
+      COALESCE((SELECT MAX(len) FROM runs), 0) AS longest,
+      COALESCE((SELECT len FROM runs WHERE last_rn = (SELECT MAX(rn) FROM st)), 0) AS current
+  `);
+
+  const getProfileById = db.prepare(`SELECT * FROM users WHERE user_id = ?`);
+  const getBotFlag = db.prepare(`
+    SELECT is_bot, score, reasons, source FROM bot_flags WHERE username = @username OR (@user_id IS NOT NULL AND user_id = @user_id) LIMIT 1
+  `);
+
+  // Per-viewer signals for the bot classifier over sessions that started after @since.
+  // Off-air time only counts in channels whose broadcasts are known.
+  const getBotSignals = db.prepare(`
+    WITH d AS (
+      SELECT s.username, s.user_id, s.channel_login, s.stream_id,
+        COALESCE(s.duration_sec, MAX(0, CAST((
+          CASE WHEN cs.last_poll_at IS NOT NULL AND @now - cs.last_poll_at > @stale_ms THEN cs.last_poll_at ELSE @now END
+          - s.joined_at) / 1000 AS INTEGER))) AS sec,
+        EXISTS (SELECT 1 FROM streams st WHERE st.channel_login = s.channel_login) AS has_streams
+      FROM sessions s
+      LEFT JOIN channel_state cs ON cs.channel_login = s.channel_login
+      WHERE s.joined_at >= @since
+    )
+    SELECT COALESCE(u.username, MAX(d.username)) AS username, MAX(d.user_id) AS user_id, u.follower_count,
+      COUNT(DISTINCT d.channel_login) AS channel_count,
+      MAX(d.sec) AS longest_sec,
+      SUM(d.sec) AS total_sec,
+      SUM(CASE WHEN d.has_streams AND d.stream_id IS NULL THEN d.sec ELSE 0 END) AS offline_sec,
+      SUM(CASE WHEN d.has_streams THEN d.sec ELSE 0 END) AS tracked_sec
+    FROM d
+    LEFT JOIN users u ON u.user_id = d.user_id
+    GROUP BY COALESCE(d.user_id, 'login:' || d.username)
+    HAVING SUM(d.sec) >= @min_total_sec
+  `);
+  const clearBotFlags = db.prepare(`DELETE FROM bot_flags`);
+  const insertBotFlag = db.prepare(`
+    INSERT OR REPLACE INTO bot_flags (username, user_id, is_bot, score, reasons, source, updated_at)
+    VALUES (@username, @user_id, @is_bot, @score, @reasons, @source, @updated_at)
+  `);
+  const replaceBotFlags = db.transaction((rows) => {
+    clearBotFlags.run();
+    for (const r of rows) insertBotFlag.run(r);
+  });
+  const getBotFlags = db.prepare(`
+    SELECT * FROM bot_flags WHERE (@bots_only = 0 OR is_bot = 1) ORDER BY is_bot DESC, score DESC, username LIMIT @limit
+  `);
+  const getBotLogins = db.prepare(`SELECT username FROM bot_flags WHERE is_bot = 1`);
+
+  const getWatchRules = db.prepare(`SELECT * FROM watch_rules WHERE channel_login = ? ORDER BY id`);
+  const insertWatchRule = db.prepare(`
+    INSERT INTO watch_rules (channel_login, kind, value, label, created_at) VALUES (@channel_login, @kind, @value, @label, @created_at)
+  `);
+  const deleteWatchRule = db.prepare(`DELETE FROM watch_rules WHERE id = ? AND channel_login = ?`);
+  const getWebhooks = db.prepare(`
+    SELECT * FROM webhooks WHERE @channel IS NULL OR channel_login IS NULL OR channel_login = @channel ORDER BY id
+  `);
+  const getWebhook = db.prepare(`SELECT * FROM webhooks WHERE id = ?`);
+  const insertWebhook = db.prepare(`INSERT INTO webhooks (channel_login, url, created_at) VALUES (@channel_login, @url, @created_at)`);
+  const deleteWebhook = db.prepare(`DELETE FROM webhooks WHERE id = ?`);
+
+  // The visit to alert on: the open session, the join event that started it, and the stored profile.
+  const getWatchSession = db.prepare(`
+    SELECT id, user_id, joined_at FROM sessions WHERE username = ? AND left_at IS NULL AND channel_login = ? ORDER BY joined_at DESC LIMIT 1
+  `);
+  const getJoinEventId = db.prepare(`
+    SELECT id FROM events WHERE channel_login = ? AND ts <= ? AND username = ? AND event_type = 'join' ORDER BY ts DESC LIMIT 1
+  `);
+  const getProfile = db.prepare(`SELECT * FROM users WHERE username = ?`);
+
+  const insertWatchAlert = db.prepare(`
+    INSERT OR IGNORE INTO watch_alerts (channel_login, username, user_id, session_id, event_id, ts, rules, payload)
+    VALUES (@channel_login, @username, @user_id, @session_id, @event_id, @ts, @rules, @payload)
+  `);
+  const insertDelivery = db.prepare(`
+    INSERT INTO webhook_deliveries (alert_id, webhook_id, url, payload, next_attempt_at, created_at)
+    VALUES (@alert_id, @webhook_id, @url, @payload, @now, @now)
+  `);
+  const createWatchAlert = db.transaction((alert, webhooks, now) => {
+    const { changes, lastInsertRowid } = insertWatchAlert.run(alert);
+    if (!changes) return null;
+    const id = Number(lastInsertRowid);
+    const payload = JSON.stringify({ ...JSON.parse(alert.payload), alert_id: id });
+    for (const w of webhooks) insertDelivery.run({ alert_id: id, webhook_id: w.id, url: w.url, payload, now });
+    return id;
+  });
+  const getWatchAlerts = db.prepare(`
+    SELECT * FROM watch_alerts WHERE channel_login = @channel AND (@since IS NULL OR ts >= @since) ORDER BY ts DESC LIMIT @limit
+  `);
+
+  const getDueDeliveries = db.prepare(`
+    SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?
+  `);
+  const markDelivered = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, last_attempt_at = @now, delivered_at = @now, response_status = @response_status, last_error = NULL
+    WHERE id = @id
+  `);
+  const failDelivery = db.prepare(`
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1, last_attempt_at = @now, response_status = @response_status, last_error = @error,
+      status = CASE WHEN attempts + 1 >= @max_attempts THEN 'failed' ELSE 'pending' END,
+      next_attempt_at = @now + MIN(@max_backoff_ms, @base_backoff_ms * (1 << MIN(attempts, 20)))
+    WHERE id = @id
+  `);
+  // Test deliveries have no alert; they belong to their webhook's channel.
+  const getDeliveries = db.prepare(`
+    SELECT d.*, COALESCE(a.channel_login, w.channel_login) AS channel_login, a.username FROM webhook_deliveries d
+    LEFT JOIN watch_alerts a ON a.id = d.alert_id
+    LEFT JOIN webhooks w ON w.id = d.webhook_id
+    WHERE (@status IS NULL OR d.status = @status)
+      AND (@channels IS NULL OR COALESCE(a.channel_login, w.channel_login) IN (SELECT value FROM json_each(@channels)))
+    ORDER BY d.id DESC LIMIT @limit
+  `);
+
+  const getFollow = db.prepare(`SELECT followed_at, unfollowed_at FROM follows WHERE channel_login = ? AND user_id = ?`);
+  const upsertFollow = db.prepare(`
+    INSERT INTO follows (channel_login, user_id, login, followed_at, last_seen_at)
+    VALUES (@channel_login, @user_id, @login, @followed_at, @ts)
+    ON CONFLICT(channel_login, user_id) DO UPDATE SET
+      login = excluded.login, followed_at = excluded.followed_at, last_seen_at = excluded.last_seen_at, unfollowed_at = NULL
+  `);
+  // Returns how many rows were already stored unchanged, so an incremental sync can stop there.
+  const saveFollowPage = db.transaction((channelLogin, rows, ts) => {
+    let known = 0;
+    for (const r of rows) {
+      const prev = getFollow.get(channelLogin, r.user_id);
+      if (prev && prev.followed_at === r.followed_at && prev.unfollowed_at == null) known++;
+      upsertFollow.run({ ...r, channel_login: channelLogin, ts });
+    }
+    return known;
+  });
+  const markUnfollowed = db.prepare(`
+    UPDATE follows SET unfollowed_at = @ts WHERE channel_login = @channel AND last_seen_at < @ts AND unfollowed_at IS NULL
+  `);
+  const saveFollowerSync = db.prepare(`
+    INSERT INTO channel_state (channel_login, followers_synced_at, followers_full_synced_at, follower_total)
+    VALUES (@channel, @ts, @full_ts, @total)
+    ON CONFLICT(channel_login) DO UPDATE SET
+      followers_synced_at = excluded.followers_synced_at,
+      followers_full_synced_at = COALESCE(excluded.followers_full_synced_at, followers_full_synced_at),
+      follower_total = COALESCE(excluded.follower_total, follower_total)
+  `);
+  const getFollowerSync = db.prepare(`
+    SELECT followers_synced_at, followers_full_synced_at, follower_total FROM channel_state WHERE channel_login = ?
+  `);
+
+  // A follow made before the viewer's first visit is 'already_following'; one made while a
+  // session was open is 'followed_during_visit'; anything later is 'followed_after_visit'.
+  const getFollowStatuses = db.prepare(`
+    SELECT f.user_id, f.followed_at, f.unfollowed_at,
+      CASE
+        WHEN f.followed_at <= (SELECT MIN(s.joined_at) FROM sessions s WHERE s.channel_login = @channel AND s.user_id = f.user_id)
+          THEN 'already_following'
+        WHEN EXISTS (
+          SELECT 1 FROM sessions s
+          WHERE s.channel_login = @channel AND s.user_id = f.user_id AND s.joined_at < f.followed_at AND COALESCE(s.left_at, @now) >= f.followed_at
+        ) THEN 'followed_during_visit'
+        ELSE 'followed_after_visit'
+      END AS follow_status
+    FROM follows f
+    WHERE f.channel_login = @channel AND f.user_id IN (SELECT value FROM json_each(@user_ids))
+  `);
+
+  function attachFollows(channelLogin, rows, now = Date.now()) {
+    const synced = getFollowerSync.get(channelLogin)?.followers_synced_at != null;
+    const ids = rows.map(r => r.user_id).filter(Boolean);
+    const byId = new Map(synced && ids.length
+      ? getFollowStatuses.all({ channel: channelLogin, user_ids: JSON.stringify(ids), now }).map(f => [f.user_id, f])
+      : []);
+    return rows.map((r) => {
+      const f = byId.get(r.user_id);
+      return {
+        ...r,
+        follows_channel: synced ? (f && f.unfollowed_at == null ? 1 : 0) : null,
+        followed_at: f?.followed_at ?? null,
+        follow_status: synced ? f?.follow_status || 'never_followed' : null
+      };
+    });
+  }
+
+  // Per stream (or UTC day): who visited, who already followed at their first join in the group, who
+  // followed while one of their sessions in the group was open, and who only followed after it.
+  // Lurkers are visitors that sent no chat message in the group.
+  const getConversion = db.prepare(`
+    WITH v AS (
+      SELECT CASE WHEN @by = 'stream' THEN s.stream_id ELSE (s.joined_at / 86400000) * 86400000 END AS grp,
+        COALESCE(s.user_id, 'login:' || s.username) AS viewer,
+        MIN(s.joined_at) AS first_join,
+        SUM(s.message_count) AS messages,
+        MAX(f.followed_at) AS followed_at,
+        MAX(CASE WHEN f.followed_at > s.joined_at AND f.followed_at <= COALESCE(s.left_at, @now) THEN 1 ELSE 0 END) AS during
+      FROM sessions s
+      LEFT JOIN follows f ON f.channel_login = s.channel_login
+        AND (f.user_id = s.user_id OR (s.user_id IS NULL AND f.login = s.username))
+      WHERE s.channel_login = @channel
+        AND (@from IS NULL OR s.joined_at >= @from) AND (@to IS NULL OR s.joined_at < @to)
+        AND (@by <> 'stream' OR s.stream_id IS NOT NULL)
+      GROUP BY grp, viewer
+    ),
+    g AS (
+      SELECT grp,
+        COUNT(*) AS visitors,
+        SUM(messages = 0) AS lurkers,
+        SUM(CASE WHEN followed_at <= first_join THEN 1 ELSE 0 END) AS already_following,
+        SUM(during) AS followed_during_visit,
+        SUM(CASE WHEN followed_at > first_join AND during = 0 THEN 1 ELSE 0 END) AS followed_after_visit,
+        SUM(followed_at IS NULL) AS never_followed,
+        SUM(CASE WHEN messages = 0 AND (followed_at IS NULL OR followed_at > first_join) THEN 1 ELSE 0 END) AS lurkers_not_following,
+        SUM(CASE WHEN messages = 0 THEN during ELSE 0 END) AS lurkers_converted
+      FROM v
+      GROUP BY grp
+    )
+    SELECT g.*, st.title, st.category, st.started_at, st.ended_at
+    FROM g
+    LEFT JOIN streams st ON @by = 'stream' AND st.id = g.grp
+    ORDER BY COALESCE(st.started_at, g.grp) DESC
+    LIMIT @limit
+  `);
+
+  const getRoleHolderIds = db.prepare(`SELECT user_id, login, tier FROM channel_roles WHERE channel_login = ? AND role = ?`);
+  const countRoleHolders = db.prepare(`SELECT COUNT(*) AS c FROM channel_roles WHERE channel_login = ? AND role = ?`);
+  const getRoleSync = db.prepare(`SELECT role, synced_at, holders FROM role_sync WHERE channel_login = ?`);
+  const getRoleSyncOne = db.prepare(`SELECT synced_at FROM role_sync WHERE channel_login = ? AND role = ?`);
+  const insertRole = db.prepare(`
+    INSERT INTO channel_roles (channel_login, user_id, login, role, tier, since, checked_at)
+    VALUES (@channel, @user_id, @login, @role, @tier, @ts, @ts)
+  `);
+  const updateRole = db.prepare(`
+    UPDATE channel_roles SET login = @login, tier = @tier, checked_at = @ts
+    WHERE channel_login = @channel AND user_id = @user_id AND role = @role
+  `);
+  const deleteRole = db.prepare(`DELETE FROM channel_roles WHERE channel_login = @channel AND user_id = @user_id AND role = @role`);
+  const insertRoleChange = db.prepare(`
+    INSERT INTO role_history (channel_login, user_id, login, role, change, tier, prev_tier, ts)
+    VALUES (@channel, @user_id, @login, @role, @change, @tier, @prev_tier, @ts)
+  `);
+  const saveRoleSync = db.prepare(`
+    INSERT INTO role_sync (channel_login, role, synced_at, holders) VALUES (?, ?, ?, ?)
+    ON CONFLICT(channel_login, role) DO UPDATE SET synced_at = excluded.synced_at, holders = excluded.holders
+  `);
+
+  // Replaces one channel's list for one role. The first sync only records who holds it; later
+  // ones log each grant ('added'), removal ('removed') and tier change ('tier') to role_history.
+  // An incomplete list (cut off while paging) adds and updates but removes nobody.
+  const saveRoleList = db.transaction((channelLogin, role, users, ts, complete) => {
+    const first = !getRoleSyncOne.get(channelLogin, role);
+    const prev = new Map(getRoleHolderIds.all(channelLogin, role).map(r => [r.user_id, r]));
+    const changes = { added: 0, removed: 0, tier: 0 };
+    const record = (change, row, prevTier = null) => {
+      changes[change]++;
+      if (!first) insertRoleChange.run({ ...row, change, prev_tier: prevTier });
+    };
+    for (const u of users) {
+      const row = { channel: channelLogin, role, ts, user_id: u.user_id, login: u.login, tier: u.tier ?? null };
+      const old = prev.get(u.user_id);
+      prev.delete(u.user_id);
+      if (!old) {
+        insertRole.run(row);
+        record('added', row);
+      } else {
+        updateRole.run(row);
+        if (old.tier !== row.tier) record('tier', row, old.tier);
+      }
+    }
+    if (complete) {
+      for (const old of prev.values()) {
+        const row = { channel: channelLogin, role, ts, user_id: old.user_id, login: old.login, tier: null };
+        deleteRole.run(row);
+        record('removed', row, old.tier);
+      }
+    }
+    saveRoleSync.run(channelLogin, role, ts, countRoleHolders.get(channelLogin, role).c);
+    return { first, ...changes };
+  });
+
+  const getRolesFor = db.prepare(`
+    SELECT user_id, role, tier FROM channel_roles
+    WHERE channel_login = @channel AND user_id IN (SELECT value FROM json_each(@user_ids))
+    ORDER BY CASE role WHEN 'moderator' THEN 0 WHEN 'vip' THEN 1 ELSE 2 END
+  `);
+
+  // Adds `roles` (held roles, null until a role list was synced for the channel) and `sub_tier`.
+  function attachRoles(channelLogin, rows) {
+    const synced = getRoleSync.all(channelLogin).length > 0;
+    const ids = [...new Set(rows.map(r => r.user_id).filter(Boolean))];
+    const byId = new Map();
+    if (synced && ids.length) {
+      for (const r of getRolesFor.all({ channel: channelLogin, user_ids: JSON.stringify(ids) })) {
+        if (!byId.has(r.user_id)) byId.set(r.user_id, []);
+        byId.get(r.user_id).push(r);
+      }
+    }
+    return rows.map((r) => {
+      const held = byId.get(r.user_id) || [];
+      return {
+        ...r,
+        roles: synced ? held.map(h => h.role) : null,
+        sub_tier: held.find(h => h.role === 'subscriber')?.tier ?? null
+      };
+    });
+  }
+
+  const getRoleHolders = db.prepare(`
+    SELECT cr.user_id, cr.login, u.display_name, cr.role, cr.tier, cr.since, cr.checked_at
+    FROM channel_roles cr
+    LEFT JOIN users u ON u.user_id = cr.user_id
+    WHERE cr.channel_login = @channel AND (@role IS NULL OR cr.role = @role)
+    ORDER BY cr.role, cr.login
+    LIMIT @limit
+  `);
+  const getRoleHistory = db.prepare(`
+    SELECT * FROM role_history
+    WHERE channel_login = @channel AND (@since IS NULL OR ts >= @since)
+    ORDER BY id DESC LIMIT @limit
+  `);
+  const getVisitorRoles = db.prepare(`SELECT channel_login AS channel, role, tier, since FROM channel_roles WHERE user_id = ? ORDER BY channel_login, role`);
+  const getVisitorRoleHistory = db.prepare(`SELECT channel_login AS channel, role, change, tier, prev_tier, ts FROM role_history WHERE user_id = ? ORDER BY id DESC LIMIT ?`);
+
+  // Keyset-paged export queries; @from/@to/@username are optional (NULL = no filter).
+  const exportQueries = {
+    events: db.prepare(`
+      SELECT * FROM events
+      WHERE channel_login = @channel
+        AND (@from IS NULL OR ts >= @from) AND (@to IS NULL OR ts < @to)
+        AND (@logins IS NULL OR user_id = @user_id
+          OR ((user_id IS NULL OR @user_id IS NULL) AND username IN (SELECT value FROM json_each(@logins))))
+        AND id > @after
+      ORDER BY id
+      LIMIT @limit
+    `),
+    sessions: db.prepare(`
+      SELECT *, CASE WHEN message_count > 0 THEN 'active' ELSE 'lurking' END AS engagement FROM sessions
+      WHERE channel_login = @channel
+        AND (@from IS NULL OR joined_at >= @from) AND (@to IS NULL OR joined_at < @to)
+        AND (@logins IS NULL OR user_id = @user_id
+          OR ((user_id IS NULL OR @user_id IS NULL) AND username IN (SELECT value FROM json_each(@logins))))
+        AND id > @after
+      ORDER BY id
+      LIMIT @limit
+    `),
+    visitors: db.prepare(`
+      SELECT COALESCE(u.username, s.username) AS username, u.user_id, u.display_name, u.broadcaster_type, u.follower_count,
+        COUNT(*) AS visit_count,
+        SUM(CASE
+          WHEN s.duration_sec IS NOT NULL THEN s.duration_sec
+          WHEN s.left_at IS NULL THEN MAX(0, CAST((@now - s.joined_at) / 1000 AS INTEGER))
+          ELSE 0
+        END) AS total_watch_sec,
+        MIN(s.joined_at) AS first_seen,
+        MAX(s.joined_at) AS last_seen,
+        SUM(s.message_count) AS messages_sent,
+        ROUND(AVG(s.confidence), 3) AS avg_confidence
+      FROM sessions s
+      LEFT JOIN users u ON u.user_id = s.user_id
+      WHERE s.channel_login = @channel
+        AND (@from IS NULL OR s.joined_at >= @from) AND (@to IS NULL OR s.joined_at < @to)
+        AND (@logins IS NULL OR s.user_id = @user_id
+          OR ((s.user_id IS NULL OR @user_id IS NULL) AND s.username IN (SELECT value FROM json_each(@logins))))
+        AND COALESCE(u.username, s.username) > @after
+      GROUP BY COALESCE(u.username, s.username)
+      ORDER BY COALESCE(u.username, s.username)
+      LIMIT @limit
+    `)
+  };
+
+  // Sessions below @min_confidence are left out of every aggregate; unscored legacy rows count as 0.
   const getUsersByFollowers = db.prepare(`
     SELECT u.*, 
       COALESCE((
         SELECT SUM(
           CASE
             WHEN s.duration_sec IS NOT NULL THEN s.duration_sec
-            WHEN s.left_at IS NULL THEN MAX(0, CAST((? - s.joined_at) / 1000 AS INTEGER))
+            WHEN s.left_at IS NULL THEN MAX(0, CAST((@now - s.joined_at) / 1000 AS INTEGER))
             ELSE 0
           END
         )
         FROM sessions s
-        WHERE s.username = u.username AND s.channel_login = ?
+        WHERE s.user_id = u.user_id AND s.channel_login = @channel AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)
       ),0) AS total_watch_sec,
-      COALESCE((SELECT COUNT(*) FROM sessions s WHERE s.username = u.username AND s.channel_login = ?),0) AS visit_count,
-      (SELECT MAX(joined_at) FROM sessions s WHERE s.username = u.username AND s.channel_login = ?) AS last_seen
+      COALESCE((SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.user_id AND s.channel_login = @channel AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)),0) AS visit_count,
+      (SELECT MAX(joined_at) FROM sessions s WHERE s.user_id = u.user_id AND s.channel_login = @channel AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)) AS last_seen,
+      COALESCE((SELECT SUM(s.message_count) FROM sessions s WHERE s.user_id = u.user_id AND s.channel_login = @channel AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)),0) AS messages_sent,
+      COALESCE((SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.user_id AND s.channel_login = @channel AND s.message_count > 0 AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)),0) AS active_visits,
+      COALESCE((SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.user_id AND s.channel_login = @channel AND s.message_count = 0 AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)),0) AS lurk_visits,
+      (SELECT ROUND(AVG(s.confidence), 3) FROM sessions s WHERE s.user_id = u.user_id AND s.channel_login = @channel AND COALESCE(s.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s.stream_id = @stream_id)) AS avg_confidence,
+      EXISTS (SELECT 1 FROM bot_flags b WHERE b.is_bot = 1 AND (b.username = u.username OR b.user_id = u.user_id)) AS is_bot
     FROM users u
-    WHERE EXISTS (SELECT 1 FROM sessions s2 WHERE s2.username = u.username AND s2.channel_login = ?)
+    WHERE EXISTS (SELECT 1 FROM sessions s2 WHERE s2.user_id = u.user_id AND s2.channel_login = @channel AND COALESCE(s2.confidence, 0) >= @min_confidence AND (@stream_id IS NULL OR s2.stream_id = @stream_id))
+      AND (@exclude_bots = 0 OR NOT EXISTS (SELECT 1 FROM bot_flags b WHERE b.is_bot = 1 AND (b.username = u.username OR b.user_id = u.user_id)))
+      AND ${roleFilter('u.user_id')}
     ORDER BY COALESCE(u.follower_count, 0) DESC, total_watch_sec DESC
-    LIMIT ? OFFSET ?
+    LIMIT @limit OFFSET @offset
   `);
 
   const countVisitors = db.prepare(`
-    SELECT COUNT(DISTINCT username) as c FROM sessions WHERE channel_login = ?
+    SELECT COUNT(DISTINCT COALESCE(user_id, username)) as c FROM sessions
+    WHERE channel_login = @channel AND COALESCE(confidence, 0) >= @min_confidence
+      AND (@stream_id IS NULL OR stream_id = @stream_id)
+      AND (@exclude_bots = 0 OR NOT EXISTS (
+        SELECT 1 FROM bot_flags b WHERE b.is_bot = 1 AND (b.username = sessions.username OR b.user_id = sessions.user_id)
+      ))
+      AND ${roleFilter('sessions.user_id')}
   `);
 
+  // Rollup versions of the unfiltered popularity and timeline queries: closed sessions come from
+  // daily_rollups, sessions still open are added from the sessions table (running to @now).
+  const rollupViewers = `
+    SELECT viewer, user_id, username, visits, active_visits, watch_sec, messages, confidence_sum, confidence_count, last_joined_at
+    FROM daily_rollups WHERE channel_login = @channel
+    UNION ALL
+    SELECT COALESCE(user_id, 'login:' || username), user_id, username, 1, message_count > 0,
+      MAX(0, CAST((@now - joined_at) / 1000 AS INTEGER)), message_count,
+      COALESCE(confidence, 0), confidence IS NOT NULL, joined_at
+    FROM sessions WHERE channel_login = @channel AND left_at IS NULL`;
+
+  const getPopularFromRollups = db.prepare(`
+    WITH r AS (
+      SELECT user_id, SUM(visits) AS visits, SUM(active_visits) AS active_visits, SUM(watch_sec) AS watch_sec,
+        SUM(messages) AS messages, SUM(confidence_sum) AS confidence_sum, SUM(confidence_count) AS confidence_count,
+        MAX(last_joined_at) AS last_seen
+      FROM (${rollupViewers}) WHERE user_id IS NOT NULL
+      GROUP BY user_id
+    )
+    SELECT u.*, r.watch_sec AS total_watch_sec, r.visits AS visit_count, r.last_seen, r.messages AS messages_sent,
+      r.active_visits, r.visits - r.active_visits AS lurk_visits,
+      CASE WHEN r.confidence_count > 0 THEN ROUND(r.confidence_sum / r.confidence_count, 3) END AS avg_confidence,
+      EXISTS (SELECT 1 FROM bot_flags b WHERE b.is_bot = 1 AND (b.username = u.username OR b.user_id = u.user_id)) AS is_bot
+    FROM r
+    JOIN users u ON u.user_id = r.user_id
+    WHERE (@exclude_bots = 0 OR NOT EXISTS (SELECT 1 FROM bot_flags b WHERE b.is_bot = 1 AND (b.username = u.username OR b.user_id = u.user_id)))
+      AND ${roleFilter('u.user_id')}
+    ORDER BY COALESCE(u.follower_count, 0) DESC, total_watch_sec DESC
+    LIMIT @limit OFFSET @offset
+  `);
+
+  // Counts exactly the rows getPopularFromRollups can return: viewers with a known user id and profile.
+  const countVisitorsFromRollups = db.prepare(`
+    SELECT COUNT(*) AS c
+    FROM (SELECT DISTINCT user_id FROM (${rollupViewers}) WHERE user_id IS NOT NULL) r
+    JOIN users u ON u.user_id = r.user_id
+    WHERE (@exclude_bots = 0 OR NOT EXISTS (SELECT 1 FROM bot_flags b WHERE b.is_bot = 1 AND (b.username = u.username OR b.user_id = u.user_id)))
+      AND ${roleFilter('u.user_id')}
+  `);
+
+  // Only valid for buckets that are whole UTC days starting at midnight.
+  const getTimelineFromRollups = db.prepare(`
+    WITH RECURSIVE b(start) AS (
+      SELECT @from
+      UNION ALL
+      SELECT start + @bucket FROM b WHERE start + @bucket < @to
+    ),
+    v AS (
+      SELECT day AS t0, day + ${DAY_MS} AS t1, viewer FROM daily_rollups WHERE channel_login = @channel AND day >= @from AND day < @to
+      UNION ALL
+      SELECT joined_at, @now, COALESCE(user_id, 'login:' || username) FROM sessions WHERE channel_login = @channel AND left_at IS NULL
+    )
+    SELECT b.start AS ts, COUNT(DISTINCT v.viewer) AS viewers
+    FROM b
+    LEFT JOIN v ON v.t0 < b.start + @bucket AND v.t1 > b.start
+    GROUP BY b.start
+    ORDER BY b.start
+  `);
+
+  // Per-day totals; sessions still open are not included until they close.
+  const getDailyStats = db.prepare(`
+    SELECT day, COUNT(*) AS unique_viewers, SUM(visits) AS visits, SUM(watch_sec) AS watch_sec, SUM(messages) AS messages
+    FROM daily_rollups
+    WHERE channel_login = @channel AND (@from IS NULL OR day >= @from) AND (@to IS NULL OR day < @to)
+    GROUP BY day
+    ORDER BY day
+  `);
+
+  const pruneEvents = db.prepare(`DELETE FROM events WHERE id IN (SELECT id FROM events WHERE ts < ? LIMIT ?)`);
+
   return {
     db,
-    eventJoin(username, ts, channelLogin) {
-      insertEvent.run(username, 'join', ts, channelLogin);
-      insertSession.run(username, ts, channelLogin);
-    },
-    eventLeave(username, ts, channelLogin) {
-      insertEvent.run(username, 'leave', ts, channelLogin);
-      const row = db.prepare('SELECT joined_at FROM sessions WHERE username = ? AND left_at IS NULL AND channel_login = ? ORDER BY joined_at DESC LIMIT 1').get(username, channelLogin);
-      if (row) {
-        const dur = Math.max(0, Math.floor((ts - row.joined_at) / 1000));
-        closeSession.run(ts, dur, username, channelLogin);
-      }
+    // { from, to, backup } for the migrations run when the store was opened.
+    migration,
+    // Both return the stored event row.
+    // Without an id from Helix or chat tags, the id of a known profile with that login is used.
+    eventJoin(username, ts, channelLogin, streamId = null, userId = null) {
+      const id = userId || getKnownUserId.get(username)?.user_id || null;
+      const { lastInsertRowid } = insertEvent.run(username, 'join', ts, channelLogin, streamId, id);
+      insertSession.run(username, ts, channelLogin, streamId, id);
+      if (userId) upsertLogin.run({ user_id: userId, login: username, ts });
+      return { id: Number(lastInsertRowid), username, user_id: id, event_type: 'join', ts, channel_login: channelLogin, stream_id: streamId };
+    },
+    eventLeave(username, ts, channelLogin, streamId = null) {
+      return recordLeave(username, ts, channelLogin, streamId);
+    },
+    resolveUser(login) {
+      return resolveUser(login);
+    },
+    recoverChannel(channelLogin, { now = Date.now(), resumeWithinMs = 0 } = {}) {
+      return recoverChannel(channelLogin, now, resumeWithinMs);
+    },
+    markPolled(channelLogin, ts) {
+      markPolled.run({ channel: channelLogin, ts });
+      endOutage.run({ channel: channelLogin, ts });
+    },
+    getLastPollAt(channelLogin) {
+      return getLastPoll.get(channelLogin)?.last_poll_at ?? null;
+    },
+    getOutages(channelLogin, { from = null, to = null, limit = 100 } = {}) {
+      return getOutages.all({ channel: channelLogin, from, to, limit, now: Date.now() });
+    },
+    saveSnapshot(channelLogin, ts, streamId, count, data) {
+      insertSnapshot.run({ channel: channelLogin, ts, stream_id: streamId, count, data });
     },
     getOpenSet(channelLogin) {
       const rows = getOpenUsers.all(channelLogin);
       return new Set(rows.map(r => r.username.toLowerCase()));
     },
-    getEvents(channelLogin, limit = 100, offset = 0) {
-      return getEvents.all(channelLogin, limit, offset);
+    getOpenSessions(channelLogin) {
+      return getOpenSessions.all(channelLogin);
+    },
+    touchSessions(channelLogin, rows) {
+      if (rows.length) touchSessions(channelLogin, rows);
+    },
+    recordMessage(username, ts, channelLogin) {
+      recordMessage.run({ username, ts, channel_login: channelLogin });
     },
-    countEvents(channelLogin) {
-      return countEvents.get(channelLogin).c;
+    splitSessions(channelLogin, usernames, ts, streamId = null) {
+      if (usernames.length) splitSessions(channelLogin, usernames, ts, streamId);
     },
-    getSessions(channelLogin, limit = 100) {
-      return getSessions.all(channelLogin, limit);
+    openStream(stream) {
+      upsertStream.run(stream);
+    },
+    endStream(streamId, ts) {
+      endStream.run(ts, streamId);
+    },
+    bumpStreamPeak(streamId, count) {
+      bumpStreamPeak.run(count, streamId);
+    },
+    getOpenStream(channelLogin) {
+      return getOpenStream.get(channelLogin) || null;
+    },
+    getStream(streamId) {
+      return getStream.get(streamId) || null;
+    },
+    getStreams(channelLogin, limit = 50, offset = 0) {
+      return getStreams.all(channelLogin, limit, offset);
+    },
+    countStreams(channelLogin) {
+      return countStreams.get(channelLogin).c;
+    },
+    getStreamSummary(streamId) {
+      const stream = getStream.get(streamId);
+      if (!stream) return null;
+      const w = getStreamWatch.get(stream.ended_at || openUntil(stream.channel_login), streamId);
+      return {
+        uniqueViewers: w.unique_viewers,
+        peakConcurrency: stream.peak_viewers,
+        totalWatchSec: w.total_watch_sec,
+        avgStaySec: w.unique_viewers ? Math.round(w.total_watch_sec / w.unique_viewers) : 0
+      };
+    },
+    // Event rows carry the viewer's `roles` and `sub_tier` in the channel.
+    getEvents(channelLogin, limit = 100, offset = 0, { role = null } = {}) {
+      return attachRoles(channelLogin, getEvents.all({ channel: channelLogin, role, limit, offset }));
+    },
+    getEventsSince(channelLogin, afterId, limit = 1000) {
+      return attachRoles(channelLogin, getEventsSince.all(channelLogin, afterId, limit));
+    },
+    countEvents(channelLogin, { role = null } = {}) {
+      return countEvents.get({ channel: channelLogin, role }).c;
+    },
+    getSessions(channelLogin, limit = 100, { minConfidence = 0, streamId = null, user = null } = {}) {
+      return getSessions.all({ channel: channelLogin, min_confidence: minConfidence, stream_id: streamId, limit, ...userParams(user) });
+    },
+    // One page of an export as a better-sqlite3 iterator; `after` is the last id
+    // (events, sessions) or username (visitors) of the previous page.
+    // `user` is a resolveUser() result.
+    iterateExport(dataset, { channelLogin, from = null, to = null, user = null, after, limit = 1000 }) {
+      const stmt = exportQueries[dataset];
+      if (!stmt) throw new Error(`Unknown export: ${dataset}`);
+      const start = after ?? (dataset === 'visitors' ? '' : 0);
+      const params = { channel: channelLogin, from, to, after: start, limit, ...userParams(user) };
+      if (dataset === 'visitors') params.now = openUntil(channelLogin);
+      return stmt.iterate(params);
+    },
+    getTimeline(channelLogin, { from, to, bucketMs }) {
+      const stmt = bucketMs % DAY_MS === 0 && from % DAY_MS === 0 ? getTimelineFromRollups : getTimeline;
+      return stmt.all({ channel: channelLogin, from, to, bucket: bucketMs, now: openUntil(channelLogin) });
+    },
+    getDailyStats(channelLogin, { from = null, to = null } = {}) {
+      return getDailyStats.all({ channel: channelLogin, from, to });
+    },
+    // Deletes raw events before `before` in batches so the write lock is released between them.
+    pruneEvents(before, batchSize = 5000) {
+      let total = 0;
+      let n;
+      do {
+        n = pruneEvents.run(before, batchSize).changes;
+        total += n;
+      } while (n === batchSize);
+      return total;
+    },
+    getPresentAt(channelLogin, ts) {
+      return getPresentAt.all({ channel: channelLogin, ts, now: openUntil(channelLogin) });
     },
     saveUserProfile(profile) {
-      upsertUser.run(profile);
+      saveUserProfile(profile);
+    },
+    // Shared audience for every pair of channels; shared_watch_sec is what the shared viewers watched on both sides.
+    getOverlap(channelLogins, { from = null, to = null, limit = 20 } = {}) {
+      const now = Date.now();
+      const until = Object.fromEntries(channelLogins.map(c => [c, openUntil(c, now)]));
+      const params = { channels: JSON.stringify(channelLogins), until: JSON.stringify(until), from, to };
+      const totals = new Map(channelLogins.map(c => [c, { channel: c, viewers: 0, watch_sec: 0 }]));
+      for (const t of getOverlapTotals.all(params)) totals.set(t.channel, t);
+
+      const shared = new Map(getOverlapPairs.all(params).map(p => [`${p.a}|${p.b}`, p]));
+      const pairs = [];
+      const sorted = [...channelLogins].sort();
+      for (let i = 0; i < sorted.length; i++) {
+        for (let j = i + 1; j < sorted.length; j++) {
+          const [a, b] = [sorted[i], sorted[j]];
+          const p = shared.get(`${a}|${b}`) || { shared_viewers: 0, a_watch_sec: 0, b_watch_sec: 0 };
+          const union = totals.get(a).viewers + totals.get(b).viewers - p.shared_viewers;
+          pairs.push({
+            a,
+            b,
+            shared_viewers: p.shared_viewers,
+            jaccard: union ? Math.round((p.shared_viewers / union) * 1000) / 1000 : 0,
+            shared_watch_sec: p.a_watch_sec + p.b_watch_sec,
+            a_watch_sec: p.a_watch_sec,
+            b_watch_sec: p.b_watch_sec
+          });
+        }
+      }
+
+      const top = getOverlapTop.all({ ...params, limit }).map(r => ({ ...r, per_channel: JSON.parse(r.per_channel) }));
+      return { channels: [...totals.values()], pairs, top };
+    },
+    enqueueEnrich(usernames, { channelLogin = null, now = Date.now(), staleBefore = 0 } = {}) {
+      const tx = db.transaction((list) => {
+        for (const username of list) enqueueEnrich.run({ username, now, stale_before: staleBefore, channel_login: channelLogin });
+      });
+      tx(usernames);
+    },
+    requeueStaleProfiles(staleBefore, limit = 200, now = Date.now()) {
+      return requeueStale.run({ now, stale_before: staleBefore, limit }).changes;
+    },
+    takeDueEnrich(limit = 50, now = Date.now()) {
+      return getDueEnrich.all(now, limit);
+    },
+    completeEnrich(username) {
+      deleteEnrich.run(username);
+    },
+    failEnrich(username, error, { now = Date.now(), baseBackoffMs = 60_000, maxBackoffMs = 86_400_000 } = {}) {
+      failEnrich.run({ username, error: String(error).slice(0, 500), now, base_backoff_ms: baseBackoffMs, max_backoff_ms: maxBackoffMs });
+    },
+    getEnrichStatus(staleBefore, now = Date.now()) {
+      const c = enrichCounts.get(now);
+      return { pending: c.pending, failed: c.failed, due: c.due, stale: countStaleUsers.get(staleBefore).c };
+    },
+    getEnrichFailures(limit = 50) {
+      return getEnrichFailures.all(limit);
+    },
+    // Unfiltered lists read the rollups; a confidence or stream filter needs the raw sessions.
+    // Follow columns are null until the channel's followers have been synced, `roles` until its roles have.
+    getPopularVisitors(channelLogin, limit = 100, offset = 0, { minConfidence = 0, streamId = null, excludeBots = false, role = null } = {}) {
+      const stmt = minConfidence <= 0 && streamId == null ? getPopularFromRollups : getUsersByFollowers;
+      return attachRoles(channelLogin, attachFollows(channelLogin, stmt.all({
+        now: openUntil(channelLogin),
+        channel: channelLogin,
+        min_confidence: minConfidence,
+        stream_id: streamId,
+        exclude_bots: excludeBots ? 1 : 0,
+        role,
+        limit,
+        offset
+      })));
+    },
+    countVisitors(channelLogin, { minConfidence = 0, streamId = null, excludeBots = false, role = null } = {}) {
+      if (minConfidence <= 0 && streamId == null) {
+        return countVisitorsFromRollups.get({ channel: channelLogin, now: Date.now(), exclude_bots: excludeBots ? 1 : 0, role }).c;
+      }
+      return countVisitors.get({
+        channel: channelLogin,
+        min_confidence: minConfidence,
+        stream_id: streamId,
+        exclude_bots: excludeBots ? 1 : 0,
+        role
+      }).c;
+    },
+    saveFollowPage(channelLogin, rows, ts = Date.now()) {
+      return rows.length ? saveFollowPage(channelLogin, rows, ts) : 0;
+    },
+    // A completed full sync marks follows it did not return as unfollowed.
+    finishFollowerSync(channelLogin, { ts = Date.now(), full = false, total = null } = {}) {
+      db.transaction(() => {
+        if (full) markUnfollowed.run({ channel: channelLogin, ts });
+        saveFollowerSync.run({ channel: channelLogin, ts, full_ts: full ? ts : null, total });
+      })();
+    },
+    getFollowerSyncState(channelLogin) {
+      return getFollowerSync.get(channelLogin) || { followers_synced_at: null, followers_full_synced_at: null, follower_total: null };
+    },
+    getConversion(channelLogin, { by = 'stream', from = null, to = null, limit = 100 } = {}) {
+      return getConversion.all({ channel: channelLogin, by, from, to, limit, now: openUntil(channelLogin) }).map(({ grp, ...r }) => ({
+        [by === 'stream' ? 'stream_id' : 'day']: grp,
+        ...r,
+        conversion_rate: r.visitors - r.already_following ? Math.round((r.followed_during_visit / (r.visitors - r.already_following)) * 1000) / 1000 : 0,
+        lurker_conversion_rate: r.lurkers_not_following ? Math.round((r.lurkers_converted / r.lurkers_not_following) * 1000) / 1000 : 0
+      }));
+    },
+    // Returns { first, added, removed, tier }; see saveRoleList.
+    saveRoleList(channelLogin, role, users, { ts = Date.now(), complete = true } = {}) {
+      return saveRoleList(channelLogin, role, users, ts, complete);
+    },
+    // { [role]: { synced_at, holders } } for the role lists synced so far.
+    getRoleSyncState(channelLogin) {
+      return Object.fromEntries(getRoleSync.all(channelLogin).map(({ role, ...r }) => [role, r]));
+    },
+    getRoleHolders(channelLogin, { role = null, limit = 1000 } = {}) {
+      return getRoleHolders.all({ channel: channelLogin, role, limit });
+    },
+    getRoleHistory(channelLogin, { since = null, limit = 100 } = {}) {
+      return getRoleHistory.all({ channel: channelLogin, since, limit });
+    },
+    attachRoles(channelLogin, rows) {
+      return attachRoles(channelLogin, rows);
+    },
+    getBotSignals({ since, minTotalSec = 3600, now = Date.now() }) {
+      return getBotSignals.all({ since, min_total_sec: minTotalSec, now, stale_ms: OPEN_SESSION_STALE_MS });
+    },
+    replaceBotFlags(rows) {
+      replaceBotFlags(rows);
+    },
+    getBotFlags({ botsOnly = true, limit = 200 } = {}) {
+      return getBotFlags.all({ bots_only: botsOnly ? 1 : 0, limit }).map(r => ({ ...r, reasons: JSON.parse(r.reasons || '[]') }));
+    },
+    getWatchRules(channelLogin) {
+      return getWatchRules.all(channelLogin);
+    },
+    addWatchRule(rule) {
+      const row = { ...rule, label: rule.label || null, created_at: Date.now() };
+      return { id: Number(insertWatchRule.run(row).lastInsertRowid), ...row };
+    },
+    deleteWatchRule(id, channelLogin) {
+      return deleteWatchRule.run(id, channelLogin).changes > 0;
+    },
+    getWebhooks(channelLogin = null) {
+      return getWebhooks.all({ channel: channelLogin });
+    },
+    getWebhook(id) {
+      return getWebhook.get(id) || null;
+    },
+    addWebhook({ url, channelLogin = null }) {
+      const row = { url, channel_login: channelLogin, created_at: Date.now() };
+      return { id: Number(insertWebhook.run(row).lastInsertRowid), ...row };
+    },
+    deleteWebhook(id) {
+      return deleteWebhook.run(id).changes > 0;
+    },
+    getWatchContext(channelLogin, username) {
+      const session = getWatchSession.get(username, channelLogin);
+      if (!session) return null;
+      return {
+        session,
+        eventId: getJoinEventId.get(channelLogin, Date.now(), username)?.id ?? null,
+        profile: getProfile.get(username) || null
+      };
+    },
+    // Returns the new alert id, or null if this visit was already alerted.
+    createWatchAlert(alert, webhooks, now = Date.now()) {
+      return createWatchAlert(alert, webhooks, now);
+    },
+    getWatchAlerts(channelLogin, { since = null, limit = 100 } = {}) {
+      return getWatchAlerts.all({ channel: channelLogin, since, limit }).map(r => ({ ...r, rules: JSON.parse(r.rules), payload: JSON.parse(r.payload) }));
+    },
+    enqueueDelivery({ webhookId, url, payload, now = Date.now() }) {
+      return Number(insertDelivery.run({ alert_id: null, webhook_id: webhookId, url, payload, now }).lastInsertRowid);
+    },
+    takeDueDeliveries(limit = 20, now = Date.now()) {
+      return getDueDeliveries.all(now, limit);
+    },
+    markDelivered(id, responseStatus, now = Date.now()) {
+      markDelivered.run({ id, response_status: responseStatus, now });
+    },
+    failDelivery(id, { responseStatus = null, error, now = Date.now(), maxAttempts = 6, baseBackoffMs = 30_000, maxBackoffMs = 3_600_000 }) {
+      failDelivery.run({
+        id,
+        response_status: responseStatus,
+        error: String(error).slice(0, 500),
+        now,
+        max_attempts: maxAttempts,
+        base_backoff_ms: baseBackoffMs,
+        max_backoff_ms: maxBackoffMs
+      });
+    },
+    // `channelLogins` (null = all) limits the log to alerts for those channels.
+    getDeliveries({ status = null, channelLogins = null, limit = 100 } = {}) {
+      return getDeliveries.all({ status, channels: channelLogins ? JSON.stringify(channelLogins) : null, limit });
     },
-    getPopularVisitors(channelLogin, limit = 100, offset = 0) {
-      const nowMs = Date.now();
-      return getUsersByFollowers.all(nowMs, channelLogin, channelLogin, channelLogin, channelLogin, limit, offset);
+    getBotLogins() {
+      return new Set(getBotLogins.all().map(r => r.username));
     },
-    countVisitors(channelLogin) {
-      return countVisitors.get(channelLogin).c;
+    // Full-history profile of the viewer behind any of their logins, or null if never seen.
+    // Summary, streaks and heatmap cover `channelLogin` (null = every channel); `channels` lists every channel.
+    getVisitorProfile(login, { channelLogin = null, tzOffsetMin = 0, now = Date.now() } = {}) {
+      const user = resolveUser(login);
+      const params = { ...userParams(user), channel: channelLogin, tz_ms: tzOffsetMin * 60_000, now, stale_ms: OPEN_SESSION_STALE_MS };
+      const channels = getVisitorChannels.all(params);
+      const scoped = channelLogin ? channels.filter(c => c.channel === channelLogin) : channels;
+      const visits = scoped.reduce((n, c) => n + c.visits, 0);
+      const totalWatchSec = scoped.reduce((n, c) => n + c.total_watch_sec, 0);
+      const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+      for (const c of getVisitorHeatmap.all(params)) heatmap[c.dow][c.hour] = c.sec;
+      const profile = (user.userId && getProfileById.get(user.userId)) || getProfile.get(login) || null;
+      if (!channels.length && !profile) return null;
+      const flag = getBotFlag.get({ username: profile?.username || login, user_id: user.userId });
+      return {
+        username: profile?.username || login,
+        userId: user.userId,
+        logins: user.logins,
+        history: user.history,
+        channel: channelLogin,
+        tzOffsetMin,
+        profile,
+        bot: flag ? { ...flag, reasons: JSON.parse(flag.reasons || '[]') } : null,
+        summary: {
+          visits,
+          totalWatchSec,
+          avgStaySec: visits ? Math.round(totalWatchSec / visits) : 0,
+          longestStaySec: scoped.reduce((n, c) => Math.max(n, c.longest_stay_sec), 0),
+          firstSeen: scoped.length ? Math.min(...scoped.map(c => c.first_seen)) : null,
+          lastSeen: scoped.length ? Math.max(...scoped.map(c => c.last_seen)) : null,
+          messages: scoped.reduce((n, c) => n + c.messages, 0),
+          activeVisits: scoped.reduce((n, c) => n + c.active_visits, 0),
+          present: scoped.some(c => c.open_sessions > 0)
+        },
+        streaks: {
+          days: getVisitorDayStreaks.get(params),
+          streams: channelLogin ? getVisitorStreamStreaks.get(params) : null
+        },
+        heatmap,
+        channels,
+        roles: user.userId ? getVisitorRoles.all(user.userId) : [],
+        roleHistory: user.userId ? getVisitorRoleHistory.all(user.userId, 50) : []
+      };
     }
   };
 }
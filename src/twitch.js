@@ -1,10 +1,24 @@
 import axios from 'axios';
+import { createHelixScheduler, PRIORITY } from './helix.js';
+
+export { PRIORITY };
 
 const twitch = axios.create({
   baseURL: 'https://api.twitch.tv/helix',
   timeout: 15000
 });
 
+// Every Helix call goes through one scheduler so all callers share the per-token rate limits.
+const helix = createHelixScheduler({ http: twitch });
+
+function helixGet(url, { userAccessToken, priority, ...opts }) {
+  return helix.request({ token: userAccessToken, priority, config: { method: 'get', url, ...opts } });
+}
+
+export function helixStats() {
+  return helix.stats();
+}
+
 function authHeaders({ clientId, userAccessToken }) {
   return {
     'Client-Id': clientId,
@@ -12,6 +26,19 @@ function authHeaders({ clientId, userAccessToken }) {
   };
 }
 
+// Requested at sign-in (browser or device code). Only the first three are needed for tracking;
+// the rest let the token read role lists (the broadcaster scopes only work when the broadcaster signs in).
+export const AUTH_SCOPES = [
+  'moderator:read:chatters',
+  'moderator:read:followers',
+  'chat:read',
+  'moderator:read:moderators',
+  'moderator:read:vips',
+  'moderation:read',
+  'channel:read:vips',
+  'channel:read:subscriptions'
+];
+
 export async function exchangeCodeForToken({ clientId, clientSecret, code, redirectUri }) {
   const res = await axios.post('https://id.twitch.tv/oauth2/token', null, {
     params: {
@@ -40,19 +67,69 @@ export async function refreshAccessToken({ clientId, clientSecret, refreshToken
   return res.data;
 }
 
-export async function fetchMe({ clientId, userAccessToken }) {
+// Token details from id.twitch.tv: { client_id, login, user_id, scopes, expires_in }, or null if it is invalid or expired.
+export async function validateToken({ userAccessToken }) {
+  try {
+    const res = await axios.get('https://id.twitch.tv/oauth2/validate', {
+      headers: { Authorization: `OAuth ${userAccessToken}` },
+      timeout: 15000
+    });
+    return res.data;
+  } catch (err) {
+    if (err?.response?.status === 401) return null;
+    throw err;
+  }
+}
+
+// Device code grant: returns { device_code, user_code, verification_uri, expires_in, interval }.
+export async function startDeviceAuth({ clientId, scopes = AUTH_SCOPES }) {
+  const res = await axios.post('https://id.twitch.tv/oauth2/device', null, {
+    params: { client_id: clientId, scopes: scopes.join(' ') },
+    timeout: 15000
+  });
+  return res.data;
+}
+
+// One poll of the device code grant: the token response once the user has approved,
+// or null while the authorization is still pending. Twitch answers 'slow_down' by
+// throwing like any other error.
+export async function pollDeviceToken({ clientId, deviceCode, scopes = AUTH_SCOPES }) {
+  try {
+    const res = await axios.post('https://id.twitch.tv/oauth2/token', null, {
+      params: {
+        client_id: clientId,
+        scopes: scopes.join(' '),
+        device_code: deviceCode,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+      },
+      timeout: 15000
+    });
+    return res.data;
+  } catch (err) {
+    if (err?.response?.data?.message === 'authorization_pending') return null;
+    throw err;
+  }
+}
+
+export async function fetchMe({ clientId, userAccessToken, priority = PRIORITY.INTERACTIVE }) {
   const headers = authHeaders({ clientId, userAccessToken });
-  const res = await twitch.get('/users', { headers });
+  const res = await helixGet('/users', { userAccessToken, priority, headers });
   return res.data?.data?.[0] || null;
 }
 
-export async function fetchUserByLogin({ clientId, userAccessToken, login }) {
+export async function fetchUserByLogin({ clientId, userAccessToken, login, priority = PRIORITY.INTERACTIVE }) {
   const headers = authHeaders({ clientId, userAccessToken });
-  const res = await twitch.get('/users', { headers, params: { login } });
+  const res = await helixGet('/users', { userAccessToken, priority, headers, params: { login } });
   return res.data?.data?.[0] || null;
 }
 
-export async function fetchChatters({ clientId, userAccessToken, broadcasterId, moderatorId }) {
+export async function fetchUserById({ clientId, userAccessToken, id, priority = PRIORITY.INTERACTIVE }) {
+  const headers = authHeaders({ clientId, userAccessToken });
+  const res = await helixGet('/users', { userAccessToken, priority, headers, params: { id } });
+  return res.data?.data?.[0] || null;
+}
+
+export async function fetchChatters({ clientId, userAccessToken, broadcasterId, moderatorId, priority = PRIORITY.POLL }) {
   const headers = authHeaders({ clientId, userAccessToken });
 
   const params = {
@@ -61,11 +138,13 @@ export async function fetchChatters({ clientId, userAccessToken, broadcasterId,
     first: 1000
   };
 
-  const users = new Set();
+  const users = new Map(); // login -> user_id
   let after;
 
   for (let i = 0; i < 20; i++) {
-    const res = await twitch.get('/chat/chatters', {
+    const res = await helixGet('/chat/chatters', {
+      userAccessToken,
+      priority,
       headers,
       params: after ? { ...params, after } : params
     });
@@ -73,7 +152,7 @@ export async function fetchChatters({ clientId, userAccessToken, broadcasterId,
     const data = res.data?.data || [];
     for (const row of data) {
       const login = (row.user_login || '').toLowerCase().trim();
-      if (login) users.add(login);
+      if (login) users.set(login, row.user_id || null);
     }
 
     after = res.data?.pagination?.cursor;
@@ -83,7 +162,7 @@ export async function fetchChatters({ clientId, userAccessToken, broadcasterId,
   return users;
 }
 
-export async function fetchUsersByLogins({ clientId, userAccessToken, logins = [] }) {
+export async function fetchUsersByLogins({ clientId, userAccessToken, logins = [], priority = PRIORITY.ENRICH }) {
   if (!logins.length) return [];
   const headers = authHeaders({ clientId, userAccessToken });
 
@@ -94,14 +173,66 @@ export async function fetchUsersByLogins({ clientId, userAccessToken, logins = [
   for (const chunk of chunks) {
     const params = new URLSearchParams();
     for (const login of chunk) params.append('login', login);
-    const res = await twitch.get(`/users?${params.toString()}`, { headers });
+    const res = await helixGet(`/users?${params.toString()}`, { userAccessToken, priority, headers });
     out.push(...(res.data?.data || []));
   }
   return out;
 }
 
-export async function fetchFollowerCount({ clientId, userAccessToken, broadcasterId }) {
+export async function fetchFollowerCount({ clientId, userAccessToken, broadcasterId, priority = PRIORITY.ENRICH }) {
   const headers = authHeaders({ clientId, userAccessToken });
-  const res = await twitch.get('/channels/followers', { headers, params: { broadcaster_id: broadcasterId, first: 1 } });
+  const res = await helixGet('/channels/followers', { userAccessToken, priority, headers, params: { broadcaster_id: broadcasterId, first: 1 } });
   return res.data?.total ?? null;
 }
+
+// One page of a channel's followers, newest first; needs moderator:read:followers from a moderator of the channel.
+export async function fetchFollowersPage({ clientId, userAccessToken, broadcasterId, after = null, priority = PRIORITY.ENRICH }) {
+  const headers = authHeaders({ clientId, userAccessToken });
+  const params = { broadcaster_id: broadcasterId, first: 100 };
+  if (after) params.after = after;
+  const res = await helixGet('/channels/followers', { userAccessToken, priority, headers, params });
+  const followers = (res.data?.data || []).map(f => ({
+    user_id: f.user_id,
+    login: (f.user_login || '').toLowerCase(),
+    followed_at: Date.parse(f.followed_at)
+  }));
+  return { followers, total: res.data?.total ?? null, cursor: res.data?.pagination?.cursor || null };
+}
+
+export async function fetchStream({ clientId, userAccessToken, broadcasterId, priority = PRIORITY.POLL }) {
+  const headers = authHeaders({ clientId, userAccessToken });
+  const res = await helixGet('/streams', { userAccessToken, priority, headers, params: { user_id: broadcasterId, type: 'live' } });
+  return res.data?.data?.[0] || null; // null when the channel is offline
+}
+
+// Helix list behind each channel role. Moderators and VIPs can be read by the broadcaster or a
+// moderator with the matching scope; subscriptions only with the broadcaster's own token.
+const ROLE_ENDPOINTS = {
+  moderator: '/moderation/moderators',
+  vip: '/channels/vips',
+  subscriber: '/subscriptions'
+};
+
+// Everyone holding `role` in the channel. `complete` is false if the list was cut off at `maxPages`.
+export async function fetchChannelRoles({ clientId, userAccessToken, broadcasterId, role, maxPages = 100, priority = PRIORITY.ENRICH }) {
+  const url = ROLE_ENDPOINTS[role];
+  if (!url) throw new Error(`Unknown role: ${role}`);
+  const headers = authHeaders({ clientId, userAccessToken });
+  const params = { broadcaster_id: broadcasterId, first: 100 };
+
+  const users = new Map(); // user_id -> { user_id, login, tier }
+  let after;
+  for (let i = 0; i < maxPages; i++) {
+    const res = await helixGet(url, { userAccessToken, priority, headers, params: after ? { ...params, after } : params });
+    const data = res.data?.data || [];
+    for (const row of data) {
+      // The broadcaster's own entry in the subscription list is not a viewer's subscription.
+      if (!row.user_id || row.user_id === broadcasterId) continue;
+      users.set(row.user_id, { user_id: row.user_id, login: (row.user_login || '').toLowerCase(), tier: row.tier || null });
+    }
+    after = res.data?.pagination?.cursor;
+    // /subscriptions can hand out a cursor to an empty last page.
+    if (!after || !data.length) return { users: [...users.values()], complete: true };
+  }
+  return { users: [...users.values()], complete: false };
+}
@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+import axios from 'axios';
+
+// Watchlist rules are checked when a viewer joins and again once their profile is
+// enriched; the first match in a visit creates one alert. Alerts are POSTed to every
+// webhook for the channel from a queue stored in SQLite, retried with exponential
+// backoff, and the queue rows are kept as the delivery log.
+
+export const WATCH_RULE_KINDS = ['login', 'broadcaster_type', 'min_followers'];
+
+export function matchRules(rules, { username, profile }) {
+  return rules.filter((r) => {
+    if (r.kind === 'login') return r.value === username;
+    if (r.kind === 'broadcaster_type') return !!profile && profile.broadcaster_type === r.value;
+    if (r.kind === 'min_followers') return profile?.follower_count != null && profile.follower_count >= Number(r.value);
+    return false;
+  });
+}
+
+// Returns a normalised rule or throws with a message meant for the API caller.
+export function parseWatchRule({ kind, value, label }) {
+  if (!WATCH_RULE_KINDS.includes(kind)) throw new Error(`kind must be one of ${WATCH_RULE_KINDS.join(', ')}`);
+  const v = String(value ?? '').trim().toLowerCase();
+  if (kind === 'login' && !/^\w{1,25}$/.test(v)) throw new Error('value must be a Twitch login');
+  if (kind === 'broadcaster_type' && !['partner', 'affiliate'].includes(v)) throw new Error('value must be partner or affiliate');
+  if (kind === 'min_followers' && !/^\d+$/.test(v)) throw new Error('value must be a follower count');
+  return { kind, value: v, label: label ? String(label).slice(0, 100) : null };
+}
+
+export function createWatchlist({
+  store,
+  onAlert = () => {},
+  secret = null,
+  http = axios,
+  timeoutMs = 10_000,
+  batchSize = 20,
+  maxAttempts = 6,
+  baseBackoffMs = 30_000
+}) {
+  let running = false;
+
+  function check(channelLogin, usernames = [], ts = Date.now()) {
+    if (!usernames.length) return;
+    const rules = store.getWatchRules(channelLogin);
+    if (!rules.length) return;
+    let webhooks = null;
+
+    for (const username of usernames) {
+      const ctx = store.getWatchContext(channelLogin, username);
+      if (!ctx) continue;
+      const matched = matchRules(rules, { username, profile: ctx.profile });
+      if (!matched.length) continue;
+
+      const p = ctx.profile;
+      const payload = {
+        type: 'watchlist.match',
+        channel: channelLogin,
+        username,
+        user_id: ctx.session.user_id || p?.user_id || null,
+        display_name: p?.display_name || null,
+        broadcaster_type: p?.broadcaster_type || null,
+        follower_count: p?.follower_count ?? null,
+        joined_at: ctx.session.joined_at,
+        matched_at: ts,
+        rules: matched.map(r => ({ id: r.id, kind: r.kind, value: r.value, label: r.label }))
+      };
+      webhooks ??= store.getWebhooks(channelLogin);
+      const alert = {
+        channel_login: channelLogin,
+        username,
+        user_id: payload.user_id,
+        session_id: ctx.session.id,
+        event_id: ctx.eventId,
+        ts,
+        rules: JSON.stringify(payload.rules),
+        payload: JSON.stringify(payload)
+      };
+      const id = store.createWatchAlert(alert, webhooks, ts);
+      if (id) onAlert({ ...alert, id, rules: payload.rules, payload: { ...payload, alert_id: id } });
+    }
+  }
+
+  function sign(body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  async function deliver(d) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'twitch-presence-tracker',
+      'X-Tracker-Delivery': String(d.id),
+      'X-Tracker-Event': JSON.parse(d.payload).type || 'watchlist.match'
+    };
+    if (secret) headers['X-Tracker-Signature'] = sign(d.payload);
+    try {
+      // The payload is sent exactly as stored so the signature matches the body.
+      const res = await http.post(d.url, d.payload, { headers, timeout: timeoutMs, transformRequest: [(x) => x], validateStatus: () => true });
+      if (res.status >= 200 && res.status < 300) store.markDelivered(d.id, res.status);
+      else store.failDelivery(d.id, { responseStatus: res.status, error: `HTTP ${res.status}`, maxAttempts, baseBackoffMs });
+    } catch (err) {
+      store.failDelivery(d.id, { error: err?.code || err?.message || String(err), maxAttempts, baseBackoffMs });
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const due = store.takeDueDeliveries(batchSize);
+      await Promise.all(due.map(deliver));
+    } finally {
+      running = false;
+    }
+  }
+
+  // Queues a sample payload for one webhook so a receiver can be checked end to end.
+  function test(webhook) {
+    const payload = JSON.stringify({
+      type: 'watchlist.test',
+      channel: webhook.channel_login,
+      username: 'example_viewer',
+      matched_at: Date.now(),
+      rules: []
+    });
+    return store.enqueueDelivery({ webhookId: webhook.id, url: webhook.url, payload });
+  }
+
+  return { check, tick, test };
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccountStarter } from '../src/daemon.js';
+
+// Queues retries instead of sleeping; `run()` fires the next one.
+function fakeTimers() {
+  const queue = [];
+  return {
+    delays: [],
+    setTimer(fn, ms) {
+      this.delays.push(ms);
+      const timer = { fn };
+      queue.push(timer);
+      return timer;
+    },
+    clearTimer(timer) {
+      if (timer) timer.fn = null;
+    },
+    async run() {
+      const timer = queue.shift();
+      if (timer.fn) await timer.fn();
+    },
+    get pending() {
+      return queue.filter(timer => timer.fn).length;
+    }
+  };
+}
+
+test('an account that fails to start is retried with doubling backoff until it polls', async () => {
+  const timers = fakeTimers();
+  const results = [];
+  const logs = [];
+  const starter = createAccountStarter({
+    onResult: r => results.push(r),
+    log: m => logs.push(m),
+    baseBackoffMs: 100,
+    maxBackoffMs: 300,
+    setTimer: timers.setTimer.bind(timers),
+    clearTimer: timers.clearTimer
+  });
+  const outcomes = [new Error('token lacks the moderator:read:chatters scope'), new Error('connect ECONNREFUSED'), false, true];
+  const check = async () => {
+    const next = outcomes.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+
+  assert.equal(await starter.start('env', check), 'retry');
+  for (let i = 0; i < 3; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await timers.run();
+  }
+
+  assert.deepEqual(timers.delays, [100, 200, 300]);
+  assert.deepEqual(results, ['retry', 'retry', 'started']);
+  assert.equal(timers.pending, 0);
+  assert.deepEqual(logs, [
+    '[daemon:env] token lacks the moderator:read:chatters scope; retrying in 0s',
+    '[daemon:env] connect ECONNREFUSED; retrying in 0s',
+    '[daemon:env] not polling; retrying in 0s'
+  ]);
+});
+
+test('an account is given up when onFailure says so, and starting it again replaces its retry', async () => {
+  const timers = fakeTimers();
+  const logs = [];
+  const starter = createAccountStarter({
+    log: m => logs.push(m),
+    setTimer: timers.setTimer.bind(timers),
+    clearTimer: timers.clearTimer
+  });
+  const refused = Object.assign(new Error('refresh failed: Invalid refresh token'), { authFailure: true });
+  const failing = async () => { throw refused; };
+
+  const seen = [];
+  const giveUp = (err) => {
+    seen.push(err);
+    return false;
+  };
+  assert.equal(await starter.start('main', failing, { onFailure: giveUp }), 'failed');
+  assert.deepEqual(seen, [refused]);
+  assert.equal(timers.pending, 0);
+  assert.deepEqual(logs, ['[daemon:main] refresh failed: Invalid refresh token']);
+
+  assert.equal(await starter.start('main', failing), 'retry');
+  assert.equal(timers.pending, 1);
+  assert.equal(await starter.start('main', async () => true), 'started');
+  assert.equal(timers.pending, 0);
+  starter.stop();
+});
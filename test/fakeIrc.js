@@ -0,0 +1,69 @@
+import { WebSocketServer } from 'ws';
+
+// A local stand-in for Twitch's IRC-over-WebSocket endpoint, for testing the chat client
+// offline. Answers PASS/NICK with 001 and JOIN with the client's own JOIN echo; the test
+// drives viewers with join/part/privmsg. The first `dropConnections` connections are closed
+// as soon as they open, to exercise reconnect backoff.
+export async function startFakeIrc({ dropConnections = 0 } = {}) {
+  const wss = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise(resolve => wss.once('listening', resolve));
+
+  const clients = new Set();
+  const connections = []; // { at, lines }
+  let dropsLeft = dropConnections;
+
+  wss.on('connection', (ws) => {
+    const conn = { at: Date.now(), lines: [], nick: null, channels: new Set(), ws };
+    connections.push(conn);
+    if (dropsLeft > 0) {
+      dropsLeft -= 1;
+      ws.close();
+      return;
+    }
+    clients.add(conn);
+    ws.on('close', () => clients.delete(conn));
+    ws.on('message', (data) => {
+      for (const line of String(data).split('\r\n')) {
+        if (!line) continue;
+        conn.lines.push(line);
+        const [command, arg = ''] = line.split(' ');
+        if (command === 'NICK') {
+          conn.nick = arg;
+          ws.send(`:tmi.twitch.tv 001 ${arg} :Welcome, GLHF!\r\n`);
+        } else if (command === 'JOIN') {
+          const channel = arg.replace(/^#/, '');
+          conn.channels.add(channel);
+          ws.send(`:${conn.nick}!${conn.nick}@${conn.nick}.tmi.twitch.tv JOIN #${channel}\r\n`);
+        }
+      }
+    });
+  });
+
+  function broadcast(channel, line) {
+    for (const c of clients) if (c.channels.has(channel)) c.ws.send(`${line}\r\n`);
+  }
+
+  const { port } = wss.address();
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    connections,
+    join(login, channel) {
+      broadcast(channel, `:${login}!${login}@${login}.tmi.twitch.tv JOIN #${channel}`);
+    },
+    part(login, channel) {
+      broadcast(channel, `:${login}!${login}@${login}.tmi.twitch.tv PART #${channel}`);
+    },
+    privmsg(login, channel, text, tags = {}) {
+      const tagStr = Object.entries({ 'display-name': login, ...tags }).map(([k, v]) => `${k}=${v}`).join(';');
+      broadcast(channel, `@${tagStr} :${login}!${login}@${login}.tmi.twitch.tv PRIVMSG #${channel} :${text}`);
+    },
+    // Sends RECONNECT to every client, as Twitch does before restarting a server.
+    reconnect() {
+      for (const c of clients) c.ws.send(':tmi.twitch.tv RECONNECT\r\n');
+    },
+    close() {
+      for (const c of connections) c.ws.terminate();
+      return new Promise(resolve => wss.close(resolve));
+    }
+  };
+}
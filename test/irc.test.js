@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChatClient } from '../src/irc.js';
+import { createPresence } from '../src/presence.js';
+import { startFakeIrc } from './fakeIrc.js';
+import { tempStore } from './tempStore.js';
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('chat JOIN, PRIVMSG and PART update presence and message counts', async (t) => {
+  const irc = await startFakeIrc();
+  t.after(() => irc.close());
+  const store = tempStore(t);
+  const presence = createPresence({ store, channelLogin: 'somechannel' });
+
+  // Wired the way the tracker wires each channel's chat connection.
+  const chat = createChatClient({
+    url: irc.url,
+    channelLogin: 'somechannel',
+    login: 'trackerbot',
+    getToken: () => 'token123',
+    onJoin: (u, ts) => presence.seen(u, ts),
+    onPart: (u, ts) => presence.part(u, ts),
+    onMessage: (u, ts, { tags }) => {
+      presence.seen(u, ts, { userId: tags['user-id'] || null });
+      store.recordMessage(u, ts, 'somechannel');
+    }
+  });
+  t.after(() => chat.stop());
+  chat.start();
+
+  await waitFor(() => chat.stats().joined);
+  assert.deepEqual(irc.connections[0].lines.slice(1), ['PASS oauth:token123', 'NICK trackerbot', 'JOIN #somechannel']);
+
+  irc.join('alice', 'somechannel');
+  irc.privmsg('bob', 'somechannel', 'hello there', { 'user-id': '4242' });
+  irc.privmsg('bob', 'somechannel', 'again', { 'user-id': '4242' });
+  irc.join('carol', 'otherchannel');
+  await waitFor(() => chat.stats().messages === 2);
+
+  assert.deepEqual([...presence.current].sort(), ['alice', 'bob']);
+  const bob = store.db.prepare(`SELECT user_id, message_count FROM sessions WHERE username = 'bob' AND left_at IS NULL`).get();
+  assert.deepEqual(bob, { user_id: '4242', message_count: 2 });
+
+  irc.part('alice', 'somechannel');
+  await waitFor(() => presence.pending.includes('alice'));
+  assert.deepEqual(presence.pending, ['alice']);
+});
+
+test('reconnects with doubling backoff that resets after a successful login', async (t) => {
+  const irc = await startFakeIrc({ dropConnections: 3 });
+  t.after(() => irc.close());
+  // Records each requested wait and reconnects straight away instead of sleeping.
+  const delays = [];
+  const chat = createChatClient({
+    url: irc.url,
+    channelLogin: 'somechannel',
+    login: 'trackerbot',
+    getToken: () => 'token123',
+    baseBackoffMs: 100,
+    setTimer: (fn, ms) => {
+      delays.push(ms);
+      return setImmediate(fn);
+    },
+    clearTimer: clearImmediate
+  });
+  t.after(() => chat.stop());
+  chat.start();
+
+  await waitFor(() => chat.stats().joined);
+  assert.equal(irc.connections.length, 4);
+  irc.reconnect();
+  await waitFor(() => irc.connections.length === 5 && chat.stats().joined);
+
+  // Three dropped connections wait 100, 200 and 400 ms; after the 001 the wait is 100 ms again.
+  assert.deepEqual(delays, [100, 200, 400, 100]);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { createStore } from '../src/store.js';
+
+// A database as the first release left it: no schema_version and no record of polls.
+function legacyDb(t, build) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'tracker.db');
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE events (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL,
+      event_type TEXT NOT NULL CHECK(event_type IN ('join','leave')), ts INTEGER NOT NULL, channel_login TEXT);
+    CREATE TABLE sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL,
+      joined_at INTEGER NOT NULL, left_at INTEGER, duration_sec INTEGER, channel_login TEXT);
+    CREATE TABLE users (username TEXT PRIMARY KEY, user_id TEXT, display_name TEXT, broadcaster_type TEXT,
+      follower_count INTEGER, profile_image_url TEXT, updated_at INTEGER);
+  `);
+  build(db);
+  db.close();
+  const store = createStore(file);
+  t.after(() => store.db.close());
+  return store;
+}
+
+test('sessions left open by a legacy database end at the channel\'s latest event', (t) => {
+  const day = 24 * 3600_000;
+  const base = Date.now() - 30 * day;
+  const store = legacyDb(t, (db) => {
+    const event = db.prepare(`INSERT INTO events (username, event_type, ts, channel_login) VALUES (?, ?, ?, 'somechannel')`);
+    const session = db.prepare(`INSERT INTO sessions (username, joined_at, channel_login) VALUES (?, ?, 'somechannel')`);
+    event.run('alice', 'join', base);
+    session.run('alice', base);
+    event.run('bob', 'join', base + 60_000);
+    session.run('bob', base + 60_000);
+    event.run('carol', 'join', base + 600_000);
+    event.run('carol', 'leave', base + 900_000);
+    db.prepare(`INSERT INTO sessions (username, joined_at, left_at, duration_sec, channel_login) VALUES ('carol', ?, ?, 300, 'somechannel')`)
+      .run(base + 600_000, base + 900_000);
+  });
+
+  const { outage, sessionsClosed } = store.recoverChannel('somechannel');
+  assert.equal(sessionsClosed, 2);
+  assert.equal(outage.started_at, base + 900_000);
+  assert.deepEqual(store.getOpenSessions('somechannel'), []);
+
+  const rows = store.db.prepare(`SELECT username, left_at, duration_sec, truncated FROM sessions ORDER BY username`).all();
+  assert.deepEqual(rows, [
+    { username: 'alice', left_at: base + 900_000, duration_sec: 900, truncated: 1 },
+    { username: 'bob', left_at: base + 900_000, duration_sec: 840, truncated: 1 },
+    { username: 'carol', left_at: base + 900_000, duration_sec: 300, truncated: 0 }
+  ]);
+  const leaves = store.db.prepare(`SELECT username, ts FROM events WHERE event_type = 'leave' ORDER BY id`).all();
+  assert.deepEqual(leaves, [
+    { username: 'carol', ts: base + 900_000 },
+    { username: 'alice', ts: base + 900_000 },
+    { username: 'bob', ts: base + 900_000 }
+  ]);
+  assert.deepEqual(store.getOutages('somechannel').map(o => [o.started_at, o.ended_at, o.sessions_closed]), [[base + 900_000, null, 2]]);
+
+  // Loading the channel again while that outage is open changes nothing.
+  assert.deepEqual(store.recoverChannel('somechannel'), { outage, sessionsClosed: 0 });
+  assert.equal(store.getOutages('somechannel').length, 1);
+});
+
+test('a legacy session with no channel events ends at its own join', (t) => {
+  const joinedAt = Date.now() - 24 * 3600_000;
+  const store = legacyDb(t, (db) => {
+    db.prepare(`INSERT INTO sessions (username, joined_at, channel_login) VALUES ('alice', ?, 'somechannel')`).run(joinedAt);
+  });
+
+  const { outage, sessionsClosed } = store.recoverChannel('somechannel');
+  assert.equal(sessionsClosed, 1);
+  assert.equal(outage.started_at, joinedAt);
+  const row = store.db.prepare(`SELECT left_at, duration_sec, truncated FROM sessions`).get();
+  assert.deepEqual(row, { left_at: joinedAt, duration_sec: 0, truncated: 1 });
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStore } from '../src/store.js';
+import { decodeSnapshot, encodeSnapshot, openSnapshotSource, replaySnapshots } from '../src/snapshots.js';
+import { tempStore } from './tempStore.js';
+
+// Every file in `dir` with a hash of its contents.
+function dirState(dir) {
+  return Object.fromEntries(fs.readdirSync(dir).sort().map(f => [f, crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, f))).digest('hex')]));
+}
+
+test('snapshots round-trip logins and user ids', () => {
+  const chatters = new Map([['alice', '1'], ['bob', null]]);
+  assert.deepEqual(decodeSnapshot(encodeSnapshot(chatters)), chatters);
+  assert.deepEqual(decodeSnapshot(encodeSnapshot(new Set(['carol']))), new Map([['carol', null]]));
+});
+
+test('replays recorded snapshots into a fresh store without touching the source', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'tracker.db');
+
+  const t0 = Date.UTC(2026, 0, 1, 20);
+  const polls = [
+    ['alice', 'bob'],
+    ['alice'], // bob misses one poll and comes back
+    ['alice', 'bob'],
+    ['alice'],
+    ['alice', 'carol'], // bob's second missed poll ends the grace window
+    ['carol']
+  ];
+  const ids = { alice: '1', bob: '2', carol: '3' };
+  const recorder = createStore(file);
+  polls.forEach((logins, i) => {
+    const chatters = new Map(logins.map(u => [u, ids[u]]));
+    recorder.saveSnapshot('somechannel', t0 + i * 60_000, null, chatters.size, encodeSnapshot(chatters));
+  });
+  recorder.db.close();
+  const before = dirState(dir);
+
+  const source = openSnapshotSource(file);
+  assert.equal(source.db.readonly, true);
+  assert.throws(() => source.db.exec(`DELETE FROM snapshots`), /readonly/);
+  assert.deepEqual(source.getSnapshotChannels().map(c => [c.channel_login, c.snapshots]), [['somechannel', 6]]);
+
+  const target = tempStore(t);
+  const result = replaySnapshots({ source, target, channelLogin: 'somechannel', gracePolls: 2 });
+  source.db.close();
+  assert.deepEqual(result, { channel: 'somechannel', snapshots: 6, joins: 3, leaves: 1, open: 2 });
+
+  const events = target.db.prepare(`SELECT username, event_type, ts, user_id FROM events ORDER BY id`).all();
+  assert.deepEqual(events, [
+    { username: 'alice', event_type: 'join', ts: t0, user_id: '1' },
+    { username: 'bob', event_type: 'join', ts: t0, user_id: '2' },
+    { username: 'carol', event_type: 'join', ts: t0 + 240_000, user_id: '3' },
+    { username: 'bob', event_type: 'leave', ts: t0 + 180_000, user_id: '2' }
+  ]);
+  const sessions = target.db.prepare(`SELECT username, joined_at, left_at, duration_sec, polls_seen, gap_count FROM sessions ORDER BY username`).all();
+  assert.deepEqual(sessions, [
+    { username: 'alice', joined_at: t0, left_at: null, duration_sec: null, polls_seen: 5, gap_count: 0 },
+    { username: 'bob', joined_at: t0, left_at: t0 + 180_000, duration_sec: 180, polls_seen: 2, gap_count: 1 },
+    { username: 'carol', joined_at: t0 + 240_000, left_at: null, duration_sec: null, polls_seen: 2, gap_count: 0 }
+  ]);
+  assert.equal(target.getLastPollAt('somechannel'), t0 + 5 * 60_000);
+
+  assert.deepEqual(dirState(dir), before);
+});
@@ -0,0 +1,15 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStore } from '../src/store.js';
+
+// A store on a fresh database in its own temp directory, removed when the test ends.
+export function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-test-'));
+  const store = createStore(path.join(dir, 'tracker.db'));
+  t.after(() => {
+    store.db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+}
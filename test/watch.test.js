@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { createWatchlist } from '../src/watch.js';
+import { tempStore } from './tempStore.js';
+
+// A local webhook receiver answering with `statuses` in turn (the last one repeats).
+async function startReceiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+test('delivers signed watchlist alerts to a local receiver, retrying after a 500', async (t) => {
+  const store = tempStore(t);
+  const receiver = await startReceiver(t, [500, 204]);
+  const secret = 'shh';
+  const watch = createWatchlist({ store, secret, baseBackoffMs: 0 });
+
+  const webhook = store.addWebhook({ url: receiver.url, channelLogin: 'somechannel' });
+  store.addWatchRule({ kind: 'login', value: 'alice', label: 'Alice', channel_login: 'somechannel' });
+  const joinedAt = Date.now() - 1000;
+  store.eventJoin('alice', joinedAt, 'somechannel', null, '4242');
+  watch.check('somechannel', ['alice']);
+
+  await watch.tick();
+  let [delivery] = store.getDeliveries();
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.response_status, 500);
+  assert.equal(delivery.last_error, 'HTTP 500');
+
+  await watch.tick();
+  [delivery] = store.getDeliveries();
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.response_status, 204);
+  assert.equal(delivery.webhook_id, webhook.id);
+  assert.equal(delivery.channel_login, 'somechannel');
+  assert.deepEqual(store.getDeliveries({ status: 'delivered', channelLogins: ['otherchannel'] }), []);
+
+  assert.equal(receiver.requests.length, 2);
+  const req = receiver.requests[1];
+  assert.equal(req.method, 'POST');
+  assert.equal(req.url, '/hook');
+  assert.equal(req.headers['content-type'], 'application/json');
+  assert.equal(req.headers['x-tracker-event'], 'watchlist.match');
+  assert.equal(req.headers['x-tracker-delivery'], String(delivery.id));
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.body).digest('hex')}`;
+  assert.equal(req.headers['x-tracker-signature'], expected);
+  assert.equal(receiver.requests[0].body, req.body);
+
+  const payload = JSON.parse(req.body);
+  assert.equal(payload.type, 'watchlist.match');
+  assert.equal(payload.channel, 'somechannel');
+  assert.equal(payload.username, 'alice');
+  assert.equal(payload.user_id, '4242');
+  assert.equal(payload.joined_at, joinedAt);
+  assert.deepEqual(payload.rules.map(r => [r.kind, r.value, r.label]), [['login', 'alice', 'Alice']]);
+
+  // One alert per visit: a second check does not queue another delivery.
+  watch.check('somechannel', ['alice']);
+  assert.equal(store.getDeliveries().length, 1);
+});
+
+test('queues a test payload for a webhook', async (t) => {
+  const store = tempStore(t);
+  const receiver = await startReceiver(t, [200]);
+  const watch = createWatchlist({ store });
+
+  const webhook = store.addWebhook({ url: receiver.url, channelLogin: 'somechannel' });
+  const id = watch.test(webhook);
+  await watch.tick();
+
+  const [delivery] = store.getDeliveries({ channelLogins: ['somechannel'] });
+  assert.equal(delivery.id, id);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(JSON.parse(receiver.requests[0].body).type, 'watchlist.test');
+  assert.equal(receiver.requests[0].headers['x-tracker-signature'], undefined);
+});